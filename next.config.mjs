@@ -1,15 +1,5 @@
+// CORS for the API is decided per request (ALLOWED_ORIGINS, see
+// src/lib/apiGuard.js) rather than by a blanket header here.
 /** @type {import('next').NextConfig} */
-const nextConfig = {
-  async headers() {
-    return [
-      {
-        source: "/api/:path*",
-        headers: [
-          { key: "Access-Control-Allow-Origin", value: "*" },
-          { key: "Access-Control-Allow-Methods", value: "GET" },
-        ],
-      },
-    ];
-  },
-};
+const nextConfig = {};
 export default nextConfig;
@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+// Headless scanner: fetches the server lists, measures TCP connect latency
+// to every server from this machine and prints a table, JSON or CSV.
+//
+//   npm run scan -- [--region asianormal,usnormal] [--attempts 3]
+//                   [--timeout 2000] [--concurrency 8] [--format table]
+//                   [--no-geo]
+//
+// Regions come from the same config as the web app (IDV_REGIONS_FILE /
+// IDV_REGIONS, see src/lib/regions.js); default is every region enabled by
+// default in the UI. Geo lookups use GEO_DB_FILE when set (GEO_MODE=local
+// skips the remote providers), like /api/geo but without its cache.
+//
+// Exit code: 0 on success, 1 on bad arguments, 2 if any server list could
+// not be fetched, 3 on any other error.
+
+import { parseArgs } from "node:util";
+import { getRegions } from "../src/lib/regions.js";
+import { fetchServerList } from "../src/lib/serverList.js";
+import {
+  DEFAULT_PROBE_ATTEMPTS,
+  DEFAULT_PROBE_CONCURRENCY,
+  DEFAULT_PROBE_TIMEOUT_MS,
+  probeServers,
+} from "../src/lib/tcpProbe.js";
+import { csvEscape } from "../src/lib/csv.js";
+import { loadGeoDatabase } from "../src/lib/geoDatabase.js";
+import {
+  EMPTY_INFO,
+  hasGeoInfo,
+  lookupProviders,
+} from "../src/lib/geoProviders.js";
+
+const FORMATS = ["table", "json", "csv"];
+// The geo providers accept at most 100 IPs per request batch.
+const GEO_BATCH_SIZE = 100;
+
+const USAGE = `Usage: npm run scan -- [options]
+
+Options:
+  -r, --region <ids>        comma-separated region ids (repeatable)
+  -n, --attempts <n>        connects per server (default ${DEFAULT_PROBE_ATTEMPTS})
+  -t, --timeout <ms>        connect timeout (default ${DEFAULT_PROBE_TIMEOUT_MS})
+  -c, --concurrency <n>     parallel sockets (default ${DEFAULT_PROBE_CONCURRENCY})
+  -f, --format <format>     ${FORMATS.join(" | ")} (default table)
+      --no-geo              skip geo lookups
+  -h, --help                show this help
+`;
+
+const COLUMNS = [
+  "region",
+  "group",
+  "serverId",
+  "ip",
+  "port",
+  "median",
+  "min",
+  "max",
+  "loss",
+  "country",
+  "city",
+  "asn",
+  "org",
+];
+
+function fail(message) {
+  process.stderr.write(`scan: ${message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+function intOption(value, name, min, max) {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    fail(`--${name} must be an integer from ${min} to ${max}`);
+  }
+  return n;
+}
+
+function parseOptions(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: {
+        region: { type: "string", short: "r", multiple: true },
+        attempts: { type: "string", short: "n" },
+        timeout: { type: "string", short: "t" },
+        concurrency: { type: "string", short: "c" },
+        format: { type: "string", short: "f", default: "table" },
+        "no-geo": { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (e) {
+    fail(e.message);
+  }
+  const { values } = parsed;
+  if (values.help) {
+    process.stdout.write(USAGE);
+    process.exit(0);
+  }
+  if (!FORMATS.includes(values.format)) {
+    fail(`unknown format "${values.format}"`);
+  }
+
+  let regions;
+  try {
+    regions = getRegions();
+  } catch (e) {
+    fail(`region config: ${e.message}`);
+  }
+  const ids = (values.region || [])
+    .flatMap((r) => r.split(","))
+    .filter(Boolean);
+  const unknown = ids.filter((id) => !regions.some((r) => r.id === id));
+  if (unknown.length > 0) {
+    fail(
+      `unknown region(s): ${unknown.join(", ")} ` +
+        `(available: ${regions.map((r) => r.id).join(", ")})`
+    );
+  }
+
+  return {
+    regions:
+      ids.length > 0
+        ? regions.filter((r) => ids.includes(r.id))
+        : regions.filter((r) => r.defaultEnabled),
+    attempts: intOption(values.attempts, "attempts", 1, 20),
+    timeoutMs: intOption(values.timeout, "timeout", 100, 30000),
+    concurrency: intOption(values.concurrency, "concurrency", 1, 64),
+    format: values.format,
+    geo: !values["no-geo"],
+  };
+}
+
+async function lookupGeo(ips) {
+  const results = {};
+  let remaining = ips;
+
+  const mode = process.env.GEO_MODE || "remote";
+  if (mode !== "remote" && process.env.GEO_DB_FILE) {
+    // Unreadable file: warn and carry on without it, like /api/geo
+    let db = null;
+    try {
+      db = loadGeoDatabase(process.env.GEO_DB_FILE);
+    } catch (e) {
+      process.stderr.write(`scan: cannot load GEO_DB_FILE: ${e.message}\n`);
+    }
+    if (db) {
+      remaining = [];
+      for (const ip of ips) {
+        const info = db.lookup(ip);
+        if (info && hasGeoInfo(info)) results[ip] = info;
+        else remaining.push(ip);
+      }
+    }
+  }
+  if (mode === "local") return results;
+
+  for (let i = 0; i < remaining.length; i += GEO_BATCH_SIZE) {
+    Object.assign(
+      results,
+      await lookupProviders(remaining.slice(i, i + GEO_BATCH_SIZE))
+    );
+  }
+  return results;
+}
+
+async function scanRegion(region, options) {
+  const servers = await fetchServerList(region);
+  const probes = await probeServers(servers, {
+    attempts: options.attempts,
+    timeoutMs: options.timeoutMs,
+    concurrency: options.concurrency,
+  });
+  return servers.map((server, i) => {
+    const { samples, median, loss } = probes[i];
+    return {
+      region: region.id,
+      group: server.group || "",
+      serverId: server.serverId,
+      ip: server.ip,
+      port: server.port,
+      median: median === null ? null : Math.round(median * 10) / 10,
+      min: samples.length ? Math.min(...samples) : null,
+      max: samples.length ? Math.max(...samples) : null,
+      loss: Math.round(loss * 100),
+    };
+  });
+}
+
+function toCsv(rows) {
+  return [
+    COLUMNS.join(","),
+    ...rows.map((row) => COLUMNS.map((c) => csvEscape(row[c])).join(",")),
+  ].join("\n");
+}
+
+// Fixed-width text table.
+function toTable(rows) {
+  const cell = (row, c) => {
+    const v = row[c];
+    if (v === null || v === undefined || v === "") return "-";
+    if (c === "median" || c === "min" || c === "max") return `${v}ms`;
+    if (c === "loss") return `${v}%`;
+    return String(v);
+  };
+  const cells = rows.map((row) => COLUMNS.map((c) => cell(row, c)));
+  const widths = COLUMNS.map((c, i) =>
+    Math.max(c.length, ...cells.map((r) => r[i].length))
+  );
+  const line = (values) =>
+    values
+      .map((v, i) => v.padEnd(widths[i]))
+      .join("  ")
+      .trimEnd();
+  return [
+    line(COLUMNS),
+    line(widths.map((w) => "-".repeat(w))),
+    ...cells.map(line),
+  ].join("\n");
+}
+
+// Fastest first, timeouts last.
+function sortRows(rows) {
+  return [...rows].sort((a, b) => {
+    if (a.median === null && b.median === null) return 0;
+    if (a.median === null) return 1;
+    if (b.median === null) return -1;
+    return a.median - b.median;
+  });
+}
+
+async function main() {
+  const options = parseOptions(process.argv.slice(2));
+  const rows = [];
+  const errors = [];
+
+  // Regions one after another so the per-region socket limit holds overall
+  for (const region of options.regions) {
+    try {
+      rows.push(...sortRows(await scanRegion(region, options)));
+    } catch (e) {
+      errors.push({ region: region.id, error: e.message });
+      process.stderr.write(`scan: ${region.id}: ${e.message}\n`);
+    }
+  }
+
+  if (options.geo) {
+    const responding = [
+      ...new Set(rows.filter((r) => r.median !== null).map((r) => r.ip)),
+    ];
+    const geo = await lookupGeo(responding);
+    for (const row of rows) {
+      const info = geo[row.ip] || EMPTY_INFO;
+      row.country = info.country;
+      row.city = info.city;
+      row.asn = info.asn;
+      row.org = info.org;
+    }
+  }
+
+  if (options.format === "json") {
+    const output = {
+      scannedAt: new Date().toISOString(),
+      servers: rows,
+      errors,
+    };
+    process.stdout.write(`${JSON.stringify(output, null, 2)}\n`);
+  } else if (options.format === "csv") {
+    process.stdout.write(`${toCsv(rows)}\n`);
+  } else {
+    process.stdout.write(`${toTable(rows)}\n`);
+  }
+
+  process.exitCode = errors.length > 0 ? 2 : 0;
+}
+
+main().catch((e) => {
+  process.stderr.write(`scan: ${e.stack || e.message}\n`);
+  process.exit(3);
+});
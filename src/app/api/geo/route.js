@@ -1,156 +1,146 @@
-// Server-side geo lookup with in-memory cache.
+// Server-side geo lookup with a bounded, optionally persistent cache.
 // Uses multiple providers in parallel to reduce single-provider rate-limit impact.
 // POST /api/geo  body: { ips: ["1.2.3.4", "5.6.7.8"] }
-// Returns: { results: { "1.2.3.4": { country_code, country, org }, ... } }
-
-const geoCache = new Map();
-
-const EMPTY_INFO = { country_code: "", country: "", org: "" };
-const IP_API_BATCH_URL = "http://ip-api.com/batch";
-const IP_API_JSON_BASE = "http://ip-api.com/json";
-const IPWHOIS_BASE_URL = "https://ipwho.is";
-const IP_API_FIELDS = "status,country,countryCode,org,isp,as,asname,query";
-const JSON_LOOKUP_CONCURRENCY = 8;
-const IPWHOIS_LOOKUP_CONCURRENCY = 8;
-
-function hasGeoInfo(info) {
-  return !!(info?.country_code || info?.country || info?.org);
-}
-
-function normalizeInfo(record) {
-  if (!record || record.status !== "success") return { ...EMPTY_INFO };
-  return {
-    country_code: (record.countryCode || "").toUpperCase(),
-    country: record.country || "",
-    org: record.org || record.asname || record.as || record.isp || "",
-  };
-}
-
-function normalizeIpWhoisInfo(record) {
-  if (!record || record.success === false) return { ...EMPTY_INFO };
-  const connection = record.connection || {};
-  return {
-    country_code: (record.country_code || "").toUpperCase(),
-    country: record.country || "",
-    org:
-      connection.org ||
-      connection.isp ||
-      connection.asn ||
-      connection.domain ||
-      "",
-  };
-}
-
-function mergeInfo(primary, secondary) {
-  return {
-    country_code: secondary.country_code || primary.country_code || "",
-    country: secondary.country || primary.country || "",
-    org: secondary.org || primary.org || "",
-  };
-}
-
-function selectPrimaryProvider(ip) {
-  const last = Number(ip.split(".").at(-1));
-  if (!Number.isFinite(last)) return "batch";
-
-  // Load split by deterministic bucket:
-  // 50% batch, 16.7% ip-api/json, 33.3% ipwho.is
-  const bucket = last % 6;
-  if (bucket === 0 || bucket === 1) return "ipwhois";
-  if (bucket === 2) return "json";
-  return "batch";
-}
-
-async function lookupBatch(ips) {
-  const out = {};
-  if (ips.length === 0) return out;
-
-  try {
-    const res = await fetch(IP_API_BATCH_URL, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(
-        ips.map((ip) => ({
-          query: ip,
-          fields: IP_API_FIELDS,
-        }))
-      ),
-    });
-    if (!res.ok) throw new Error(`ip-api batch returned ${res.status}`);
-
-    const rows = await res.json();
-    for (const row of rows || []) {
-      if (!row?.query) continue;
-      out[row.query] = normalizeInfo(row);
+// Returns: { results: { "1.2.3.4": { country_code, country, org, asn, city,
+//                                    region, lat, lon }, ... } }
+// Missing fields are "" (lat/lon: null).
+//
+// GET /api/geo  ->  { ip, info } approximate location of the caller, for the
+// "you are here" marker on the map. The address comes from X-Forwarded-For
+// (TRUSTED_PROXY_HOPS, see lib/apiGuard.js); when that is private or missing
+// the answer is { ip: null, info: null } and no marker is drawn. For local dev,
+// GEO_SERVER_LOCATION_FALLBACK=1 answers with the server's own location
+// instead, which is the same network in that case.
+//
+// GEO_MODE selects the backend:
+// - remote (default): ip-api.com / ipwho.is
+// - local: only the CSV range database at GEO_DB_FILE, no network calls
+// - local-first: GEO_DB_FILE, falling back to remote for IPs it doesn't cover
+//
+// Remote lookups and provider health live in lib/geoProviders.js. Across all
+// clients the process sends at most GEO_REMOTE_LOOKUPS_PER_MIN IPs (default
+// 600, 0 = no cap) to the providers, since the per-client limit alone can be
+// dodged by spoofing X-Forwarded-For; IPs over that budget come back empty
+// and uncached.
+// Rate limit (RATE_LIMIT_GEO_PER_MIN, default 30) and allowed origins: see
+// lib/apiGuard.js.
+
+import { after } from "next/server";
+import { createApiGuard, getClientIp } from "../../../lib/apiGuard";
+import { envInt } from "../../../lib/env";
+import { getSharedGeoCache } from "../../../lib/geoCache";
+import { loadGeoDatabase } from "../../../lib/geoDatabase";
+import {
+  EMPTY_INFO,
+  hasGeoInfo,
+  lookupOwnLocation,
+  lookupProviders,
+} from "../../../lib/geoProviders";
+import { counter } from "../../../lib/metrics";
+import { createRateLimiter } from "../../../lib/rateLimit";
+
+const geoCache = getSharedGeoCache();
+const guard = createApiGuard("geo", 30);
+// IPs with a background refresh in flight, so repeated hits don't pile up.
+const refreshing = new Set();
+
+const remoteLookupsPerMinute = envInt("GEO_REMOTE_LOOKUPS_PER_MIN", 600, 0);
+// One bucket for the whole process, one token per IP.
+const remoteBudget =
+  remoteLookupsPerMinute > 0
+    ? createRateLimiter({
+        capacity: remoteLookupsPerMinute,
+        refillPerMinute: remoteLookupsPerMinute,
+        maxClients: 1,
+      })
+    : null;
+const overBudgetCount = counter(
+  "idv_geo_remote_lookups_over_budget_total",
+  "IPs not sent to the geo providers because GEO_REMOTE_LOOKUPS_PER_MIN was used up."
+);
+
+const GEO_MODES = ["remote", "local", "local-first"];
+const GEO_MODE = GEO_MODES.includes(process.env.GEO_MODE)
+  ? process.env.GEO_MODE
+  : "remote";
+
+const IP_REGEX = /^\d{1,3}(\.\d{1,3}){3}$/;
+
+let localDb; // undefined = not loaded yet, null = unavailable
+
+// Loaded on first use; a missing/unreadable file is logged once and then
+// treated as an empty database.
+function getLocalDb() {
+  if (localDb === undefined) {
+    localDb = null;
+    if (process.env.GEO_DB_FILE) {
+      try {
+        localDb = loadGeoDatabase(process.env.GEO_DB_FILE);
+      } catch (e) {
+        console.error(`geo: cannot load GEO_DB_FILE: ${e.message}`);
+      }
+    } else {
+      console.error(`geo: GEO_MODE=${GEO_MODE} requires GEO_DB_FILE`);
     }
-  } catch {
-    // Return partial/empty map; caller handles fallback.
   }
-
-  return out;
+  return localDb;
 }
 
-async function lookupIpApiJsonOne(ip) {
-  try {
-    const res = await fetch(
-      `${IP_API_JSON_BASE}/${ip}?fields=${encodeURIComponent(IP_API_FIELDS)}`
+function isPrivateIp(ip) {
+  if (ip.includes(":")) {
+    // Loopback, unspecified, unique local (fc00::/7), link-local (fe80::/10)
+    return (
+      ip === "::1" || ip === "::" || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip)
     );
-    if (!res.ok) return { ...EMPTY_INFO };
-    const row = await res.json();
-    return normalizeInfo(row);
-  } catch {
-    return { ...EMPTY_INFO };
   }
-}
-
-async function lookupIpApiJsonMany(ips) {
-  const out = {};
-  if (ips.length === 0) return out;
-
-  let index = 0;
-  const workers = Array.from(
-    { length: Math.min(JSON_LOOKUP_CONCURRENCY, ips.length) },
-    async () => {
-      while (index < ips.length) {
-        const ip = ips[index++];
-        out[ip] = await lookupIpApiJsonOne(ip);
-      }
-    }
+  const [a, b] = ip.split(".").map(Number);
+  return (
+    a === 10 ||
+    a === 127 ||
+    a === 0 ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 169 && b === 254) ||
+    (a === 100 && b >= 64 && b <= 127)
   );
-  await Promise.all(workers);
-  return out;
 }
 
-async function lookupIpWhoisOne(ip) {
-  try {
-    const res = await fetch(`${IPWHOIS_BASE_URL}/${ip}`);
-    if (!res.ok) return { ...EMPTY_INFO };
-    const row = await res.json();
-    return normalizeIpWhoisInfo(row);
-  } catch {
-    return { ...EMPTY_INFO };
+// The server's own location, cached briefly: the server doesn't move but
+// its uplink might.
+const SERVER_LOCATION_TTL_MS = 60 * 60 * 1000;
+let serverLocation = null; // { info, fetchedAt }
+
+async function lookupServerLocation() {
+  if (
+    serverLocation &&
+    Date.now() - serverLocation.fetchedAt < SERVER_LOCATION_TTL_MS
+  ) {
+    return serverLocation.info;
   }
+  const info = await lookupOwnLocation();
+  if (hasGeoInfo(info)) serverLocation = { info, fetchedAt: Date.now() };
+  return info;
 }
 
-async function lookupIpWhoisMany(ips) {
-  const out = {};
-  if (ips.length === 0) return out;
-
-  let index = 0;
-  const workers = Array.from(
-    { length: Math.min(IPWHOIS_LOOKUP_CONCURRENCY, ips.length) },
-    async () => {
-      while (index < ips.length) {
-        const ip = ips[index++];
-        out[ip] = await lookupIpWhoisOne(ip);
-      }
+// Resolve IPs through the providers and cache anything useful. IPs over the
+// process-wide budget get EMPTY_INFO.
+async function lookupAndCache(ips) {
+  const allowed = remoteBudget
+    ? ips.filter((ip) => remoteBudget.take("all").allowed)
+    : ips;
+  const results = allowed.length > 0 ? await lookupProviders(allowed) : {};
+  for (const ip of ips) {
+    if (!results[ip]) {
+      overBudgetCount.inc();
+      results[ip] = { ...EMPTY_INFO };
+    } else if (hasGeoInfo(results[ip])) {
+      geoCache.set(ip, results[ip]);
     }
-  );
-  await Promise.all(workers);
-  return out;
+  }
+  return results;
 }
 
-export async function POST(request) {
+async function handlePost(request) {
   let body;
   try {
     body = await request.json();
@@ -158,7 +148,7 @@ export async function POST(request) {
     return Response.json({ error: "invalid json" }, { status: 400 });
   }
 
-  const ips = body.ips;
+  const ips = body?.ips;
   if (!Array.isArray(ips) || ips.length === 0 || ips.length > 100) {
     return Response.json(
       { error: "ips must be an array of 1-100 IPs" },
@@ -166,81 +156,78 @@ export async function POST(request) {
     );
   }
 
-  const ipRegex = /^\d{1,3}(\.\d{1,3}){3}$/;
-  const validIps = ips.filter((ip) => typeof ip === "string" && ipRegex.test(ip));
+  const validIps = ips.filter(
+    (ip) => typeof ip === "string" && IP_REGEX.test(ip)
+  );
+
+  return Response.json({ results: await resolveIps(validIps) });
+}
+
+async function handleGet(request) {
+  const ip = getClientIp(request);
+  if (ip && !isPrivateIp(ip)) {
+    const results = await resolveIps([ip]);
+    return Response.json({ ip, info: results[ip] });
+  }
+  // Without a proxy header every visitor would get the host's location.
+  if (
+    process.env.GEO_SERVER_LOCATION_FALLBACK !== "1" ||
+    GEO_MODE === "local"
+  ) {
+    return Response.json({ ip: null, info: null });
+  }
+  return Response.json({ ip: null, info: await lookupServerLocation() });
+}
+
+export const POST = guard.wrap(handlePost);
+export const GET = guard.wrap(handleGet);
+export const OPTIONS = guard.preflight("GET, POST");
 
+// Local database / cache / providers, per GEO_MODE.
+async function resolveIps(validIps) {
   const results = {};
   const uncached = [];
+  const stale = [];
+  let remoteIps = validIps;
+
+  if (GEO_MODE !== "remote") {
+    const db = getLocalDb();
+    remoteIps = [];
+    for (const ip of validIps) {
+      const info = db?.lookup(ip);
+      if (info && hasGeoInfo(info)) results[ip] = info;
+      else if (GEO_MODE === "local") results[ip] = { ...EMPTY_INFO };
+      else remoteIps.push(ip);
+    }
+  }
 
-  for (const ip of validIps) {
-    if (geoCache.has(ip)) {
-      results[ip] = geoCache.get(ip);
+  for (const ip of remoteIps) {
+    const cached = geoCache.get(ip);
+    if (cached) {
+      // Entries cached before a field existed get it filled in as empty.
+      results[ip] = { ...EMPTY_INFO, ...cached.info };
+      if (cached.stale) stale.push(ip);
     } else {
       uncached.push(ip);
     }
   }
 
   if (uncached.length > 0) {
-    const batchIps = [];
-    const ipApiJsonIps = [];
-    const ipWhoisIps = [];
-    for (const ip of uncached) {
-      const provider = selectPrimaryProvider(ip);
-      if (provider === "json") ipApiJsonIps.push(ip);
-      else if (provider === "ipwhois") ipWhoisIps.push(ip);
-      else batchIps.push(ip);
-    }
-    const ipApiJsonSet = new Set(ipApiJsonIps);
-    const ipWhoisSet = new Set(ipWhoisIps);
-
-    // Distribute load across providers and run lookups in parallel.
-    const [batchMap, ipApiJsonMap, ipWhoisMap] = await Promise.all([
-      lookupBatch(batchIps),
-      lookupIpApiJsonMany(ipApiJsonIps),
-      lookupIpWhoisMany(ipWhoisIps),
-    ]);
-
-    for (const ip of uncached) {
-      const fromBatch = batchMap[ip] || { ...EMPTY_INFO };
-      const fromIpApiJson = ipApiJsonMap[ip] || { ...EMPTY_INFO };
-      const fromIpWhois = ipWhoisMap[ip] || { ...EMPTY_INFO };
-      const mergedPrimary = mergeInfo(fromBatch, fromIpApiJson);
-      const info = mergeInfo(mergedPrimary, fromIpWhois);
-      results[ip] = info;
-      if (hasGeoInfo(info)) {
-        geoCache.set(ip, info);
-      }
-    }
-
-    // Enrich missing fields by querying providers not used as primary for that IP.
-    const needsEnrichment = uncached.filter(
-      (ip) => !results[ip] || !results[ip].country || !results[ip].org
-    );
-    if (needsEnrichment.length > 0) {
-      const enrichJsonIps = needsEnrichment.filter((ip) => !ipApiJsonSet.has(ip));
-      const enrichIpWhoisIps = needsEnrichment.filter((ip) => !ipWhoisSet.has(ip));
-      const [enrichJsonMap, enrichIpWhoisMap] = await Promise.all([
-        lookupIpApiJsonMany(enrichJsonIps),
-        lookupIpWhoisMany(enrichIpWhoisIps),
-      ]);
-
-      for (const ip of needsEnrichment) {
-        const base = results[ip] || { ...EMPTY_INFO };
-        const withJson = mergeInfo(base, enrichJsonMap[ip] || { ...EMPTY_INFO });
-        const merged = mergeInfo(withJson, enrichIpWhoisMap[ip] || { ...EMPTY_INFO });
-        results[ip] = merged;
-        if (hasGeoInfo(merged)) {
-          geoCache.set(ip, merged);
-        }
-      }
-    }
+    Object.assign(results, await lookupAndCache(uncached));
+  }
 
-    for (const ip of uncached) {
-      if (!results[ip]) {
-        results[ip] = { ...EMPTY_INFO };
+  // Serve stale entries now; refresh them after the response is sent.
+  const toRefresh = stale.filter((ip) => !refreshing.has(ip));
+  if (toRefresh.length > 0) {
+    toRefresh.forEach((ip) => refreshing.add(ip));
+    after(async () => {
+      try {
+        await lookupAndCache(toRefresh);
+      } finally {
+        toRefresh.forEach((ip) => refreshing.delete(ip));
       }
-    }
+    });
   }
 
-  return Response.json({ results });
+  return results;
 }
@@ -0,0 +1,69 @@
+// Prometheus metrics for the API routes, in text exposition format.
+// GET /api/metrics
+//
+// - idv_server_list_*: upstream list fetches (count, latency, result) and
+//   servers parsed vs. lines skipped, per region
+// - idv_geo_cache_*: /api/geo cache lookups by result and current size
+// - idv_geo_provider_*: per-provider request results and availability
+// - idv_geo_remote_lookups_over_budget_total: IPs /api/geo left unresolved
+//   because the process-wide provider budget was used up
+//
+// Counters are per process and reset on restart.
+
+import { getSharedGeoCache } from "../../../lib/geoCache";
+import { providerHealth } from "../../../lib/geoProviders";
+import { collect, renderMetrics } from "../../../lib/metrics";
+
+export const dynamic = "force-dynamic";
+
+const geoCache = getSharedGeoCache();
+
+collect(
+  "idv_geo_cache_lookups_total",
+  "counter",
+  "Geo cache lookups by result (hit, stale, miss).",
+  () => {
+    const { hits, staleHits, misses } = geoCache.stats;
+    return [
+      { labels: { result: "hit" }, value: hits },
+      { labels: { result: "stale" }, value: staleHits },
+      { labels: { result: "miss" }, value: misses },
+    ];
+  }
+);
+
+collect(
+  "idv_geo_cache_entries",
+  "gauge",
+  "Entries currently in the geo cache.",
+  () => [{ value: geoCache.size }]
+);
+
+collect(
+  "idv_geo_provider_requests_total",
+  "counter",
+  "Geo provider requests by provider and result (success, failure, rate_limited).",
+  () =>
+    Object.entries(providerHealth.snapshot()).flatMap(([provider, s]) => [
+      { labels: { provider, result: "success" }, value: s.successes },
+      { labels: { provider, result: "failure" }, value: s.failures },
+      { labels: { provider, result: "rate_limited" }, value: s.rateLimited },
+    ])
+);
+
+collect(
+  "idv_geo_provider_available",
+  "gauge",
+  "1 if the provider is taking requests, 0 while tripped or rate-limited.",
+  () =>
+    Object.entries(providerHealth.snapshot()).map(([provider, s]) => ({
+      labels: { provider },
+      value: s.available ? 1 : 0,
+    }))
+);
+
+export async function GET() {
+  return new Response(renderMetrics(), {
+    headers: { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" },
+  });
+}
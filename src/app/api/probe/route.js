@@ -0,0 +1,117 @@
+// Server-side TCP connect probe for game servers.
+// POST /api/probe  body: { region: "asianormal", ips?: ["1.2.3.4"], attempts?, timeoutMs? }
+// Only servers present in the region's server list are probed, so the route
+// can't be used to scan arbitrary hosts. Omitting `ips` probes the whole list.
+// Returns: { region, results: { "1.2.3.4": { port, attempts, samples, median, loss }, ... } }
+//
+// Each request is capped at MAX_CONNECTS_PER_REQUEST connects (servers x
+// attempts). The browser client probes one server per request, so the rate
+// limit (RATE_LIMIT_PROBE_PER_MIN, default 600, see lib/apiGuard.js) is
+// sized for a full scan.
+
+import { createApiGuard } from "../../../lib/apiGuard";
+import { getRegion, getRegionIds } from "../../../lib/regions";
+import { getServerList } from "../../../lib/serverListCache";
+import {
+  DEFAULT_PROBE_ATTEMPTS,
+  DEFAULT_PROBE_TIMEOUT_MS,
+  probeServers,
+} from "../../../lib/tcpProbe";
+
+const MAX_ATTEMPTS = 10;
+const MIN_TIMEOUT_MS = 100;
+const MAX_TIMEOUT_MS = 10000;
+const MAX_CONNECTS_PER_REQUEST = 200;
+
+const guard = createApiGuard("probe", 600);
+
+function clampInt(value, min, max, fallback) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, Math.round(n)));
+}
+
+async function handlePost(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return Response.json({ error: "invalid json" }, { status: 400 });
+  }
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return Response.json(
+      { error: "body must be a JSON object" },
+      { status: 400 }
+    );
+  }
+
+  const { region, ips } = body;
+  const config = getRegion(region);
+  if (!config) {
+    return Response.json(
+      { error: "invalid region", valid: getRegionIds() },
+      { status: 400 }
+    );
+  }
+  if (ips !== undefined && (!Array.isArray(ips) || ips.length > 100)) {
+    return Response.json(
+      { error: "ips must be an array of up to 100 IPs" },
+      { status: 400 }
+    );
+  }
+
+  let servers;
+  try {
+    // The shared list, not a fresh fetch per probe request
+    ({ servers } = await getServerList(config));
+  } catch (e) {
+    return Response.json(
+      { error: "fetch failed", detail: e.message },
+      { status: 502 }
+    );
+  }
+
+  if (ips) {
+    const wanted = new Set(ips);
+    servers = servers.filter((s) => wanted.has(s.ip));
+  }
+  // The same IP can appear more than once in a list; probe it once.
+  const seen = new Set();
+  servers = servers.filter((s) => !seen.has(s.ip) && seen.add(s.ip));
+
+  const attempts = clampInt(
+    body.attempts,
+    1,
+    MAX_ATTEMPTS,
+    DEFAULT_PROBE_ATTEMPTS
+  );
+  if (servers.length * attempts > MAX_CONNECTS_PER_REQUEST) {
+    return Response.json(
+      {
+        error: `at most ${MAX_CONNECTS_PER_REQUEST} connects (servers x attempts) per request`,
+        servers: servers.length,
+        attempts,
+      },
+      { status: 400 }
+    );
+  }
+
+  const probes = await probeServers(servers, {
+    attempts,
+    timeoutMs: clampInt(
+      body.timeoutMs,
+      MIN_TIMEOUT_MS,
+      MAX_TIMEOUT_MS,
+      DEFAULT_PROBE_TIMEOUT_MS
+    ),
+  });
+
+  const results = {};
+  for (const { ip, ...probe } of probes) {
+    results[ip] = probe;
+  }
+  return Response.json({ region, results });
+}
+
+export const POST = guard.wrap(handlePost);
+export const OPTIONS = guard.preflight("POST");
@@ -0,0 +1,18 @@
+// Region definitions for the UI, from the same config the other routes use.
+// GET /api/regions
+// Returns: { regions: [{ id, label, port, groupLabels, hasGroups, defaultEnabled }, ...] }
+
+import { getRegions, toPublicRegion } from "../../../lib/regions";
+
+export const dynamic = "force-dynamic";
+
+export async function GET() {
+  try {
+    return Response.json({ regions: getRegions().map(toPublicRegion) });
+  } catch (e) {
+    return Response.json(
+      { error: "invalid region config", detail: e.message },
+      { status: 500 }
+    );
+  }
+}
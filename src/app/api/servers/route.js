@@ -1,71 +1,82 @@
 // Proxy for fetching game server lists (HTTP-only origins, no CORS)
-// GET /api/servers?region=asianormal|asiatest|usnormal|ustest|cnnormal
+// GET /api/servers?region=<region id from config>[&raw=1]
+// Default ids: asianormal|asiatest|usnormal|ustest|cnnormal
+// Returns: { region, servers, changes }
+// Each server has every list column (serverId, type, ip, port, val1, val2,
+// num1, num2, group); `raw=1` adds the original `line` and its `lineNumber`,
+// here and in `changes`.
+// `changes` is the most recent difference seen between two fetched lists
+// ({ detectedAt, added, removed, changed }), or null if none is known.
+//
+// Lists are reused for up to 5 minutes (lib/serverListCache.js). When the
+// upstream fetch fails or returns something that isn't a list, the last good
+// list for the region is served instead with
+// { stale: true, fetchedAt, ageMs, error }. With no list to fall back on
+// the route answers 502.
+// Rate limit (RATE_LIMIT_SERVERS_PER_MIN, default 60) and allowed origins:
+// see lib/apiGuard.js.
 
-const URLS = {
-  asianormal:
-    "http://h55na.update.easebar.com/server_list_asianormal_game.txt",
-  asiatest: "http://h55na.update.easebar.com/server_list_asiatest_game.txt",
-  usnormal: "http://h55na.update.easebar.com/server_list_usnormal_game.txt",
-  ustest: "http://h55na.update.easebar.com/server_list_ustest_game.txt",
-  cnnormal: "https://h55.update.netease.com/server_list_normal_game.txt",
-};
+import { createApiGuard } from "../../../lib/apiGuard";
+import { getRegion, getRegionIds } from "../../../lib/regions";
+import { getServerList } from "../../../lib/serverListCache";
 
-export async function GET(request) {
+const guard = createApiGuard("servers", 60);
+
+function withoutRawFields({ line, lineNumber, ...server }) {
+  return server;
+}
+
+function changesWithoutRawFields(changes) {
+  if (!changes) return null;
+  return {
+    ...changes,
+    added: changes.added.map(withoutRawFields),
+    removed: changes.removed.map(withoutRawFields),
+    changed: changes.changed.map(({ ip, before, after }) => ({
+      ip,
+      before: withoutRawFields(before),
+      after: withoutRawFields(after),
+    })),
+  };
+}
+
+async function handleGet(request) {
   const { searchParams } = new URL(request.url);
   const region = searchParams.get("region");
+  const raw = searchParams.get("raw") === "1";
+  const config = getRegion(region);
 
-  if (!region || !URLS[region]) {
+  if (!config) {
     return Response.json(
-      { error: "invalid region", valid: Object.keys(URLS) },
+      { error: "invalid region", valid: getRegionIds() },
       { status: 400 }
     );
   }
 
+  let list;
   try {
-    const res = await fetch(URLS[region], {
-      next: { revalidate: 300 }, // cache 5 min
-    });
-    const text = await res.text();
-    const servers = parseServerList(text, region);
-    return Response.json({ region, servers });
+    list = await getServerList(config);
   } catch (e) {
     return Response.json(
       { error: "fetch failed", detail: e.message },
       { status: 502 }
     );
   }
-}
-
-function parseServerList(text, region) {
-  const lines = text
-    .split("\n")
-    .map((l) => l.trim())
-    .filter((l) => l && !l.startsWith("#"));
 
-  const servers = [];
-  for (const line of lines) {
-    // Format: ID TYPE IP PORT VAL1 VAL2 NUM1 NUM2 GROUP
-    // e.g. "10001 5 34.84.21.129 4000 12 10 2614959 2634973  A"
-    // Test servers may not have the group letter
-    const parts = line.split(/\s+/).filter(Boolean);
-    if (parts.length < 4) continue;
-
-    const ip = parts[2];
-    const port = parseInt(parts[3], 10);
-
-    // Validate IP
-    if (!/^\d{1,3}(\.\d{1,3}){3}$/.test(ip)) continue;
-    // Port policy:
-    // - cnnormal (domestic): 10000
-    // - all global regions: 4000
-    const expectedPort = region === "cnnormal" ? 10000 : 4000;
-    if (port !== expectedPort) continue;
-
-    const group = parts.length >= 9 ? parts[8] : null;
-    const serverId = parts[0];
-
-    servers.push({ ip, port, group, serverId });
+  const servers = raw ? list.servers : list.servers.map(withoutRawFields);
+  const changes = raw ? list.changes : changesWithoutRawFields(list.changes);
+  if (!list.stale) {
+    return Response.json({ region, servers, changes });
   }
-
-  return servers;
+  return Response.json({
+    region,
+    servers,
+    changes,
+    stale: true,
+    fetchedAt: list.fetchedAt,
+    ageMs: Date.now() - list.fetchedAt,
+    error: list.error,
+  });
 }
+
+export const GET = guard.wrap(handleGet);
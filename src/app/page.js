@@ -1,5 +1,8 @@
 "use client";
-import { useState, useCallback, useEffect, useRef } from "react";
+import { useState, useCallback, useEffect, useMemo, useRef } from "react";
+import { csvEscape } from "../lib/csv";
+import { median } from "../lib/stats";
+import { WORLD_LAND_PATH, WORLD_VIEWBOX } from "./worldOutline";
 
 // ─── i18n ────────────────────────────────────────────────────────────
 const STRINGS = {
@@ -38,8 +41,85 @@ const STRINGS = {
     skipped: "Skipped",
     noData: "No server data available",
     fetchError: "Failed to fetch server list",
+    regionsError: "Failed to load region configuration",
     note: "Latency is measured in-browser via HTTPS fetch to each server's game port. TCP handshake time from Resource Timing is used first. When unavailable, elapsed time until fetch error is corrected with an adaptive factor.",
     allGroupsDown: "All servers unreachable",
+    history: "History",
+    hideHistory: "Hide History",
+    historyTitle: "Scan History",
+    historyEmpty: "No saved scans yet",
+    scans: "scans",
+    deleteEntry: "Delete",
+    pruneOlderThan: "Delete older than",
+    days: "days",
+    clearHistory: "Clear all",
+    export: "Export",
+    exportTitle: "Identity V Server Ping Report",
+    region: "Region",
+    scannedAt: "Scanned at",
+    min: "Min",
+    p95: "P95",
+    jitter: "Jitter",
+    loss: "Loss",
+    monitor: "Monitor",
+    stopMonitor: "Stop Monitoring",
+    rollingAvg: "Rolling Avg",
+    newServer: "NEW",
+    changedServer: "CHANGED",
+    removedServers: "Removed from server list",
+    movedPort: "port {from} → {to}",
+    recommendTitle: "Recommended",
+    recommendReason:
+      "Median {median}ms, spread {spread}ms between servers, {timeout}% timeouts.",
+    recommendLead: "{diff}ms better than the next option, {next}.",
+    recommendOnly: "The only region with responding servers.",
+    qualityGood: "Smooth for ranked play.",
+    qualityFair: "Playable, with some noticeable delay.",
+    qualityPoor: "High latency; expect delayed hits and rubber-banding.",
+    recommendScore: "Score",
+    recommendScoreHint:
+      "Score = median + half the spread + a timeout penalty. Lower is better.",
+    stopScan: "Stop",
+    rescanRegion: "Rescan",
+    retest: "Retest",
+    cancelled: "Stopped",
+    probeError: "Error",
+    scanStopped: "Scan stopped before the server list loaded",
+    staleList:
+      "Server list unavailable, showing cached list from {minutes} min ago",
+    viewList: "List",
+    viewSites: "Sites",
+    viewColumns: "Columns",
+    median: "Median",
+    subnets: "subnets",
+    settings: "Settings",
+    hideSettings: "Hide Settings",
+    settingsTitle: "Scan Settings",
+    resetDefaults: "Reset to defaults",
+    settingTimeout: "Request timeout (ms)",
+    settingAttempts: "Samples per server",
+    settingGap: "Gap between samples (ms)",
+    settingGroupConfidence: "Group detection confidence (%)",
+    group: "Group",
+    ungrouped: "Ungrouped",
+    confidence: "confidence",
+    unclearGroups: "Unclear",
+    sourceHigh: "TCP",
+    sourceMedium: "TTFB",
+    sourceLow: "EST",
+    confidenceHigh: "Precise: TCP handshake timing",
+    confidenceMedium: "Approximate: includes time to first byte",
+    confidenceLow: "Estimate: calibrated fetch-error timing",
+    map: "Map",
+    hideMap: "Hide Map",
+    mapTitle: "Server Map",
+    mapYou: "You (approx.)",
+    mapEmpty:
+      "Servers appear here once they respond and their location is known",
+    measureBrowser: "Measure: Browser",
+    measureServer: "Measure: Server",
+    noteServer:
+      "Latency is measured by the server hosting this page using a TCP connect to each server's game port. Results reflect the hosting location, not your own connection.",
   },
   ja: {
     subtitle: "ブラウザから各ゲームサーバーへの遅延を測定",
@@ -76,8 +156,84 @@ const STRINGS = {
     skipped: "スキップ",
     noData: "サーバーデータを取得できません",
     fetchError: "サーバーリストの取得に失敗しました",
+    regionsError: "地域設定の読み込みに失敗しました",
     note: "遅延はブラウザ内のHTTPS fetchで各サーバーのゲームポートに対して測定しています。Resource TimingのTCP接続時間を優先し、取得できない場合はfetchエラー到達までの経過時間に可変補正係数を適用します。",
     allGroupsDown: "全サーバー到達不可",
+    history: "履歴",
+    hideHistory: "履歴を閉じる",
+    historyTitle: "スキャン履歴",
+    historyEmpty: "保存されたスキャンはありません",
+    scans: "回",
+    deleteEntry: "削除",
+    pruneOlderThan: "次より古い履歴を削除:",
+    days: "日",
+    clearHistory: "すべて削除",
+    export: "エクスポート",
+    exportTitle: "Identity V サーバー遅延レポート",
+    region: "地域",
+    scannedAt: "測定日時",
+    min: "最小",
+    p95: "P95",
+    jitter: "ジッター",
+    loss: "損失",
+    monitor: "常時監視",
+    stopMonitor: "監視を停止",
+    rollingAvg: "移動平均",
+    newServer: "新規",
+    changedServer: "変更",
+    removedServers: "サーバーリストから削除",
+    movedPort: "ポート {from} → {to}",
+    recommendTitle: "おすすめ",
+    recommendReason:
+      "中央値 {median}ms、サーバー間のばらつき {spread}ms、タイムアウト {timeout}%。",
+    recommendLead: "次点の {next} より {diff}ms 良好です。",
+    recommendOnly: "応答のあったサーバーはこの地域のみです。",
+    qualityGood: "ランクマッチも快適に遊べます。",
+    qualityFair: "プレイ可能ですが、多少の遅延を感じます。",
+    qualityPoor: "遅延が大きく、攻撃判定のずれやワープが起きやすいです。",
+    recommendScore: "スコア",
+    recommendScoreHint:
+      "スコア = 中央値 + ばらつきの半分 + タイムアウトのペナルティ。低いほど良好です。",
+    stopScan: "停止",
+    rescanRegion: "再スキャン",
+    retest: "再計測",
+    cancelled: "停止",
+    probeError: "エラー",
+    scanStopped: "サーバーリストの取得前にスキャンを停止しました",
+    staleList:
+      "サーバーリストを取得できないため、{minutes}分前のキャッシュを表示しています",
+    viewList: "一覧表示",
+    viewSites: "拠点別",
+    viewColumns: "全列表示",
+    median: "中央値",
+    subnets: "サブネット",
+    settings: "設定",
+    hideSettings: "設定を閉じる",
+    settingsTitle: "スキャン設定",
+    resetDefaults: "初期値に戻す",
+    settingTimeout: "リクエストタイムアウト (ms)",
+    settingAttempts: "サーバーごとの計測回数",
+    settingGap: "計測間隔 (ms)",
+    settingGroupConfidence: "グループ判定の信頼度 (%)",
+    group: "グループ",
+    ungrouped: "グループなし",
+    confidence: "信頼度",
+    unclearGroups: "判定不能",
+    sourceHigh: "TCP",
+    sourceMedium: "TTFB",
+    sourceLow: "推定",
+    confidenceHigh: "精密: TCPハンドシェイク時間",
+    confidenceMedium: "概算: 最初の応答までの時間を含む",
+    confidenceLow: "推定: 補正済みfetchエラー時間",
+    map: "地図",
+    hideMap: "地図を閉じる",
+    mapTitle: "サーバーマップ",
+    mapYou: "現在地（推定）",
+    mapEmpty: "応答があり位置が判明したサーバーがここに表示されます",
+    measureBrowser: "測定: ブラウザ",
+    measureServer: "測定: サーバー",
+    noteServer:
+      "遅延はこのページをホストしているサーバーから各サーバーのゲームポートへのTCP接続時間で測定しています。結果はホストの設置場所からの値で、ご自身の回線の値ではありません。",
   },
 };
 
@@ -94,20 +250,47 @@ function t(lang, key) {
   return STRINGS[lang]?.[key] || STRINGS.en[key] || key;
 }
 
-// Get human-readable group label based on region and group letter
-function getGroupLabel(lang, regionId, group) {
-  if (regionId === "asianormal") {
-    if (group === "A") return t(lang, "asiaSEA");
-    if (group === "B") return t(lang, "asiaEastJP");
-  }
-  if (regionId === "cnnormal") {
-    if (group === "A") return t(lang, "chinaA");
-    if (group === "B") return t(lang, "chinaB");
-  }
-  // NA-EU: A = North America, B = Europe
-  if (group === "A") return t(lang, "naeuNA");
-  if (group === "B") return t(lang, "naeuEU");
-  return group;
+// t() with {name} placeholders filled from `values`
+function tf(lang, key, values) {
+  return t(lang, key).replace(/\{(\w+)\}/g, (m, name) => values[name] ?? m);
+}
+
+// Region config labels are either { en, ja } objects, STRINGS keys (the
+// built-in regions) or literal text for custom regions.
+function resolveLabel(lang, label) {
+  if (label && typeof label === "object") return label[lang] || label.en || "";
+  if (typeof label !== "string") return "";
+  return STRINGS.en[label] ? t(lang, label) : label;
+}
+
+function getRegionLabel(lang, region) {
+  return resolveLabel(lang, region.label) || region.id;
+}
+
+// Get human-readable group label from the region's configured group labels
+// Server-list group letter; servers without one share a pseudo-group.
+const UNGROUPED = "?";
+
+function getServerGroup(server) {
+  return server.group || UNGROUPED;
+}
+
+// Letters without a configured label (e.g. a new group C) read "Group C".
+function getGroupLabel(lang, region, group) {
+  if (group === UNGROUPED) return t(lang, "ungrouped");
+  return (
+    resolveLabel(lang, region.groupLabels?.[group]) ||
+    `${t(lang, "group")} ${group}`
+  );
+}
+
+// Detected match region for a region's active groups ("A", "B", "A+B", ...)
+function getMatchRegionLabel(lang, region, activeGroup) {
+  if (!region.hasGroups || !activeGroup) return "";
+  return activeGroup
+    .split("+")
+    .map((g) => getGroupLabel(lang, region, g))
+    .join(" + ");
 }
 
 // ─── IP Geolocation ─────────────────────────────────────────────────
@@ -171,8 +354,13 @@ const geoQueue = {
           flag: countryToFlag((r.country_code || "").toUpperCase()),
           country: r.country || "",
           org: r.org || "",
+          asn: r.asn || "",
+          city: r.city || "",
+          region: r.region || "",
+          lat: r.lat ?? null,
+          lon: r.lon ?? null,
         };
-        if (info.flag || info.country || info.org) {
+        if (info.flag || info.country || info.org || info.city) {
           geoCache.set(ip, info);
         }
         if (this.callback) this.callback(ip, info);
@@ -180,7 +368,16 @@ const geoQueue = {
     } catch {
       // Emit empty values but do not cache failure; allow retry on next scan
       for (const ip of uncached) {
-        const empty = { flag: "", country: "", org: "" };
+        const empty = {
+          flag: "",
+          country: "",
+          org: "",
+          asn: "",
+          city: "",
+          region: "",
+          lat: null,
+          lon: null,
+        };
         if (this.callback) this.callback(ip, empty);
       }
     }
@@ -193,12 +390,14 @@ const geoQueue = {
 const MIN_VALID_PING_MS = 1;
 const MAX_VALID_PING_MS = 4000;
 const REQUEST_TIMEOUT_MS = 4000;
+const ATTEMPT_GAP_MS = 30;
 const FETCH_ERROR_COEFF_BASE = 0.156;
 const FETCH_ERROR_COEFF_SLOPE = 0.000105;
 const FETCH_ERROR_COEFF_MIN = 0.16;
 const FETCH_ERROR_COEFF_MAX = 0.24;
 
-function calibrateFetchErrorMs(rawMs) {
+// Default curve, tuned on one desktop browser.
+function defaultFetchErrorMs(rawMs) {
   const coeff = Math.min(
     FETCH_ERROR_COEFF_MAX,
     Math.max(
@@ -209,6 +408,80 @@ function calibrateFetchErrorMs(rawMs) {
   return rawMs * coeff;
 }
 
+// Per-browser correction on top of the default curve. Attempts that yield
+// both a Resource Timing TCP sample and a fetch-error wall time give a
+// ratio tcp / default(wall); the median ratio per scan is blended into a
+// persisted scale, which then applies to fetch-error-only measurements.
+const FETCH_CALIBRATION_STORAGE_KEY = "idv-ping-fetch-calibration";
+const CALIBRATION_MIN_PAIRS = 5;
+const CALIBRATION_MAX_WEIGHT = 100; // older scans fade out past this
+const CALIBRATION_SCALE_MIN = 0.25;
+const CALIBRATION_SCALE_MAX = 4;
+
+const fetchErrorCalibration = {
+  scale: 1,
+  weight: 0, // pairs behind the current scale, capped
+  pending: [], // ratios not yet folded in
+  loaded: false,
+  load() {
+    if (this.loaded) return;
+    this.loaded = true;
+    try {
+      const stored = JSON.parse(
+        localStorage.getItem(FETCH_CALIBRATION_STORAGE_KEY)
+      );
+      if (
+        Number.isFinite(stored?.scale) &&
+        stored.scale >= CALIBRATION_SCALE_MIN &&
+        stored.scale <= CALIBRATION_SCALE_MAX
+      ) {
+        this.scale = stored.scale;
+        this.weight = Math.min(CALIBRATION_MAX_WEIGHT, stored.weight || 0);
+      }
+    } catch {
+      // Unavailable or corrupt storage: use the default curve
+    }
+  },
+  observe(rawMs, tcpMs) {
+    this.pending.push(tcpMs / defaultFetchErrorMs(rawMs));
+  },
+  // Drops pairs from a stopped scan, rescan or retest.
+  discard() {
+    this.pending = [];
+  },
+  // Called after a scan; waits until enough pairs have been seen.
+  commit() {
+    this.load();
+    const n = this.pending.length;
+    if (n < CALIBRATION_MIN_PAIRS) return;
+    const ratio = median([...this.pending].sort((a, b) => a - b));
+    this.pending = [];
+    const blended = (this.scale * this.weight + ratio * n) / (this.weight + n);
+    this.scale = Math.min(
+      CALIBRATION_SCALE_MAX,
+      Math.max(CALIBRATION_SCALE_MIN, blended)
+    );
+    this.weight = Math.min(CALIBRATION_MAX_WEIGHT, this.weight + n);
+    try {
+      localStorage.setItem(
+        FETCH_CALIBRATION_STORAGE_KEY,
+        JSON.stringify({
+          scale: this.scale,
+          weight: this.weight,
+          updatedAt: Date.now(),
+        })
+      );
+    } catch {
+      // Quota exceeded or storage disabled: keep it for this session
+    }
+  },
+};
+
+function calibrateFetchErrorMs(rawMs) {
+  fetchErrorCalibration.load();
+  return defaultFetchErrorMs(rawMs) * fetchErrorCalibration.scale;
+}
+
 async function getResourceTimingEntry(url) {
   if (
     typeof performance === "undefined" ||
@@ -264,17 +537,91 @@ async function getResourceTimingEntry(url) {
   });
 }
 
-async function measurePing(ip, port = 4000, attempts = 3) {
+// Distribution of one server's samples. `attempts` counts failed samples
+// too, so loss is the percentage of attempts that produced no sample.
+// Returns { ping, min, median, p95, jitter, loss }; ping is the rounded
+// median used for display/sorting, or null when every attempt failed.
+function summarizeSamples(samples, attempts) {
+  const loss =
+    attempts > 0
+      ? Math.round(((attempts - samples.length) / attempts) * 100)
+      : 0;
+  if (samples.length === 0) {
+    return {
+      ping: null,
+      min: null,
+      median: null,
+      p95: null,
+      jitter: null,
+      loss,
+    };
+  }
+
+  const sorted = [...samples].sort((a, b) => a - b);
+  const mid = median(sorted);
+  const p95 = sorted[Math.ceil(sorted.length * 0.95) - 1];
+  const mean = sorted.reduce((a, v) => a + v, 0) / sorted.length;
+  const variance =
+    sorted.reduce((a, v) => a + (v - mean) ** 2, 0) / sorted.length;
+  const round = (v) => Math.max(1, Math.round(v));
+
+  return {
+    ping: round(mid),
+    min: round(sorted[0]),
+    median: round(mid),
+    p95: round(p95),
+    jitter: Math.round(Math.sqrt(variance)),
+    loss,
+  };
+}
+
+// How far a result can be trusted, from where its samples came from:
+// high = TCP handshake only, medium = some TTFB (includes server think
+// time), low = any calibrated fetch-error estimate. null = no samples.
+function getConfidence(sources) {
+  if (sources["fetch-error"]) return "low";
+  if (sources.ttfb) return "medium";
+  if (sources.tcp) return "high";
+  return null;
+}
+
+// summarizeSamples() plus `sources` ({ tcp: 2, "fetch-error": 1 }) and
+// `confidence`.
+function summarizeMeasurement(samples, attempts, sources) {
+  return {
+    ...summarizeSamples(samples, attempts),
+    sources,
+    confidence: getConfidence(sources),
+  };
+}
+
+async function measurePing(
+  ip,
+  port = 4000,
+  {
+    attempts = 3,
+    timeoutMs = REQUEST_TIMEOUT_MS,
+    gapMs = ATTEMPT_GAP_MS,
+    signal,
+  } = {}
+) {
   const results = [];
+  const sources = {};
+  // A longer timeout must also widen the accepted sample range
+  const maxValidMs = Math.max(MAX_VALID_PING_MS, timeoutMs);
 
   for (let i = 0; i < attempts; i++) {
+    if (signal?.aborted) break;
     const url = `https://${ip}:${port}/?_=${Date.now()}_${i}_${Math.random()}`;
     const ac = new AbortController();
     let abortedByTimer = false;
+    let fetchFailed = false;
     const timer = setTimeout(() => {
       abortedByTimer = true;
       ac.abort();
-    }, REQUEST_TIMEOUT_MS);
+    }, timeoutMs);
+    const onAbort = () => ac.abort();
+    signal?.addEventListener("abort", onAbort, { once: true });
 
     try {
       const t0 = performance.now();
@@ -282,7 +629,9 @@ async function measurePing(ip, port = 4000, attempts = 3) {
         mode: "no-cors",
         cache: "no-store",
         signal: ac.signal,
-      }).catch(() => {});
+      }).catch(() => {
+        fetchFailed = true;
+      });
       const wallTime = performance.now() - t0;
 
       const entry = await getResourceTimingEntry(url);
@@ -290,25 +639,35 @@ async function measurePing(ip, port = 4000, attempts = 3) {
       let sampleSource = "none";
       if (entry) {
         const tcp = entry.connectEnd - entry.connectStart;
-        if (tcp >= MIN_VALID_PING_MS && tcp < MAX_VALID_PING_MS) {
+        if (tcp >= MIN_VALID_PING_MS && tcp < maxValidMs) {
           sample = tcp;
           sampleSource = "tcp";
+          // Both timings for one attempt: calibration data point
+          if (
+            fetchFailed &&
+            !abortedByTimer &&
+            !signal?.aborted &&
+            wallTime >= MIN_VALID_PING_MS &&
+            wallTime < maxValidMs
+          ) {
+            fetchErrorCalibration.observe(wallTime, tcp);
+          }
         } else if (entry.responseStart > 0 && entry.requestStart > 0) {
           const ttfb = entry.responseStart - entry.requestStart;
-          if (ttfb >= MIN_VALID_PING_MS && ttfb < MAX_VALID_PING_MS) {
+          if (ttfb >= MIN_VALID_PING_MS && ttfb < maxValidMs) {
             sample = ttfb;
             sampleSource = "ttfb";
           }
         }
       }
-      if (sample === null) {
+      if (sample === null && !signal?.aborted) {
         // Safari/iOS can report non-timeout TLS failures as AbortError.
         // Treat only timer-triggered abort as an actual timeout.
         const likelyAbort = abortedByTimer;
         if (
           !likelyAbort &&
           wallTime >= MIN_VALID_PING_MS &&
-          wallTime < MAX_VALID_PING_MS
+          wallTime < maxValidMs
         ) {
           sample = wallTime;
           sampleSource = "fetch-error";
@@ -320,269 +679,1472 @@ async function measurePing(ip, port = 4000, attempts = 3) {
           sample = calibrateFetchErrorMs(sample);
         }
         results.push(sample);
+        sources[sampleSource] = (sources[sampleSource] || 0) + 1;
       }
     } catch {
       // timeout or network error
     }
 
     clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
     performance.clearResourceTimings();
 
-    if (i < attempts - 1) {
-      await new Promise((r) => setTimeout(r, 30));
+    if (i < attempts - 1 && gapMs > 0 && !signal?.aborted) {
+      await new Promise((r) => setTimeout(r, gapMs));
     }
   }
 
-  if (results.length === 0) return null;
-  results.sort((a, b) => a - b);
-  const median = results[Math.floor(results.length / 2)];
-  return Math.max(1, Math.round(median));
+  if (signal?.aborted) {
+    return { ...summarizeMeasurement([], 1, {}), aborted: true };
+  }
+  return summarizeMeasurement(results, attempts, sources);
 }
 
-// ─── Region definitions ─────────────────────────────────────────────
-const REGIONS = [
-  { id: "asianormal", labelKey: "asia", hasGroups: true },
-  { id: "cnnormal", labelKey: "china", hasGroups: true },
-  { id: "usnormal", labelKey: "naeu", hasGroups: true },
-  // Test servers — kept for reference but disabled from display
-  { id: "asiatest", labelKey: "asiaTest", hasGroups: false, disabled: true },
-  { id: "ustest", labelKey: "naeuTest", hasGroups: false, disabled: true },
-];
-
-const ACTIVE_REGIONS = REGIONS.filter((r) => !r.disabled);
-
-// ─── Main component ─────────────────────────────────────────────────
-export default function Home() {
-  const [lang, setLang] = useLang();
-  const [scanning, setScanning] = useState(false);
-  const [hasScanned, setHasScanned] = useState(false);
-  const [regionData, setRegionData] = useState({});
-  const [geoInfo, setGeoInfo] = useState({}); // { [ip]: { flag, country, org } }
+// Rate-limited by /api/probe: every server-mode measurement waits until
+// then (Retry-After) before asking again.
+let probeRetryAt = 0;
+const PROBE_TRIES = 3;
 
-  // Ref so ping callbacks can trigger geo lookups without stale closure
-  const geoSetterRef = useRef(setGeoInfo);
-  geoSetterRef.current = setGeoInfo;
+// Resolves after `ms`, or early when `signal` aborts.
+function waitFor(ms, signal) {
+  return new Promise((resolve) => {
+    if (ms <= 0 || signal?.aborted) return resolve();
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", done);
+      resolve();
+    }
+    signal?.addEventListener("abort", done, { once: true });
+  });
+}
 
-  const startScan = useCallback(async () => {
-    setScanning(true);
-    setHasScanned(true);
-    const newData = {};
+// Server-side alternative: real TCP connect timing from the deployment
+// itself via /api/probe. Useful when the app is hosted near the players.
+// When the probe itself fails (rate limit still hit after PROBE_TRIES, 502,
+// network) the result has `error: true`: the server wasn't measured, which
+// says nothing about whether it is up.
+async function measurePingViaServer(
+  regionId,
+  ip,
+  { attempts, timeoutMs, signal } = {}
+) {
+  for (let i = 0; i < PROBE_TRIES && !signal?.aborted; i++) {
+    try {
+      await waitFor(probeRetryAt - Date.now(), signal);
+      const res = await fetch("/api/probe", {
+        signal,
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          region: regionId,
+          ips: [ip],
+          attempts,
+          timeoutMs,
+        }),
+      });
+      if (res.status === 429) {
+        const retryAfterS = Number(res.headers.get("Retry-After")) || 1;
+        probeRetryAt = Math.max(probeRetryAt, Date.now() + retryAfterS * 1000);
+        continue;
+      }
+      if (!res.ok) break;
+      const { results } = await res.json();
+      const probe = results?.[ip];
+      if (!probe) break;
+      const sources = probe.samples.length ? { tcp: probe.samples.length } : {};
+      return summarizeMeasurement(probe.samples, probe.attempts, sources);
+    } catch {
+      break;
+    }
+  }
+  const result = summarizeMeasurement([], 1, {});
+  return signal?.aborted
+    ? { ...result, aborted: true }
+    : { ...result, error: true };
+}
 
-    // Set up geo queue callback to update state as results arrive
-    geoQueue.callback = (ip, info) => {
-      geoSetterRef.current((prev) => ({ ...prev, [ip]: info }));
+// Returns a `(region, server) => Promise<result>` for the chosen mode, where
+// result is the summarizeMeasurement() shape. `settings` is keyed by region id.
+// Aborting `signal` ends in-flight measurements; their result has
+// `aborted: true`. Server mode can also return `error: true` (not measured).
+function getMeasureFn(mode, settings, signal) {
+  const optionsFor = (region) => {
+    const s = settings?.[region.id] || getDefaultSettings();
+    return {
+      attempts: s.attempts,
+      timeoutMs: s.timeoutMs,
+      gapMs: s.attemptGapMs,
+      signal,
     };
+  };
+  if (mode === "server") {
+    return (region, server) =>
+      measurePingViaServer(region.id, server.ip, optionsFor(region));
+  }
+  return (region, server) =>
+    measurePing(server.ip, server.port, optionsFor(region));
+}
 
-    // Fire-and-forget geo lookup for a server that responded
-    const triggerGeo = (ip) => {
-      geoQueue.enqueue(ip);
-    };
+// ─── Region definitions ─────────────────────────────────────────────
+// Loaded from /api/regions so the UI and the API routes share one config
+// (src/lib/regions.js). Each region: { id, label, port, groupLabels,
+// hasGroups, defaultEnabled }.
+function useRegions() {
+  const [regions, setRegions] = useState([]);
+  const [regionsError, setRegionsError] = useState(false);
 
-    // Fetch all server lists in parallel
-    const fetches = await Promise.allSettled(
-      ACTIVE_REGIONS.map(async (region) => {
-        try {
-          const res = await fetch(`/api/servers?region=${region.id}`);
-          const json = await res.json();
-          return { regionId: region.id, servers: json.servers || [] };
-        } catch {
-          return { regionId: region.id, servers: [], error: true };
-        }
+  useEffect(() => {
+    let cancelled = false;
+    fetch("/api/regions")
+      .then((res) => {
+        if (!res.ok) throw new Error("regions failed");
+        return res.json();
       })
-    );
+      .then(({ regions }) => {
+        if (!cancelled) setRegions(regions || []);
+      })
+      .catch(() => {
+        if (!cancelled) setRegionsError(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
 
-    for (const result of fetches) {
-      if (result.status === "fulfilled") {
-        const { regionId, servers, error } = result.value;
-        newData[regionId] = {
-          servers: servers.map((s) => ({
-            ...s,
-            ping: null,
-            status: "waiting",
-          })),
-          activeGroup: null,
-          error: !!error,
-          done: false,
-        };
-      }
-    }
+  return { regions, regionsError };
+}
 
-    setRegionData({ ...newData });
+// ─── Region picker ──────────────────────────────────────────────────
+// Which regions get scanned and displayed; remembered in localStorage.
+// Until the user picks, each region's `defaultEnabled` applies.
+const ENABLED_REGIONS_STORAGE_KEY = "idv-ping-regions";
 
-    // Ping all regions in parallel, geo lookups triggered as pings complete
-    await Promise.all(
-      ACTIVE_REGIONS.map((region) =>
-        pingRegion(region, newData, (updated) =>
-          setRegionData((prev) => ({ ...prev, ...updated })),
-          triggerGeo
-        )
-      )
-    );
+function loadEnabledRegionIds() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(ENABLED_REGIONS_STORAGE_KEY));
+    return Array.isArray(raw) ? raw : null;
+  } catch {
+    return null;
+  }
+}
 
-    setScanning(false);
+function useEnabledRegions(regions) {
+  const [enabledIds, setEnabledIds] = useState(null); // null = config defaults
+
+  useEffect(() => {
+    setEnabledIds(loadEnabledRegionIds());
   }, []);
 
-  return (
-    <div style={styles.page}>
-      <div className="container" style={styles.container}>
-        {/* Header */}
-        <header className="header" style={styles.header}>
-          <h1 className="title" style={styles.title}>Identity V Game Server Ping Checker</h1>
-          <p className="subtitle" style={styles.subtitle}>{t(lang, "subtitle")}</p>
-          <div className="header-actions" style={styles.headerActions}>
-            <button
-              className="scan-btn"
-              style={scanning ? styles.btnDisabled : styles.btn}
-              onClick={startScan}
-              disabled={scanning}
-            >
-              {scanning
-                ? t(lang, "scanning")
-                : hasScanned
-                  ? t(lang, "rescan")
-                  : t(lang, "startScan")}
-            </button>
-            <button
-              className="lang-btn"
-              style={styles.langBtn}
-              onClick={() => setLang(lang === "en" ? "ja" : "en")}
-            >
-              {lang === "en" ? "日本語" : "English"}
-            </button>
-          </div>
-        </header>
+  const enabledRegions = useMemo(() => {
+    const picked = enabledIds
+      ? regions.filter((r) => enabledIds.includes(r.id))
+      : [];
+    // Stored ids may no longer exist in the config; fall back to defaults
+    return picked.length > 0 ? picked : regions.filter((r) => r.defaultEnabled);
+  }, [regions, enabledIds]);
+
+  // At least one region always stays enabled.
+  const toggleRegion = useCallback(
+    (regionId) => {
+      const current = enabledRegions.map((r) => r.id);
+      const next = current.includes(regionId)
+        ? current.filter((id) => id !== regionId)
+        : regions
+            .map((r) => r.id)
+            .filter((id) => id === regionId || current.includes(id));
+      if (next.length === 0) return;
+      try {
+        localStorage.setItem(ENABLED_REGIONS_STORAGE_KEY, JSON.stringify(next));
+      } catch {
+        // Storage unavailable; choice applies to this visit only.
+      }
+      setEnabledIds(next);
+    },
+    [regions, enabledRegions]
+  );
 
-        {/* Region panels */}
-        <div className="grid" style={styles.grid}>
-          {ACTIVE_REGIONS.map((region) => (
-            <RegionPanel
-              key={region.id}
-              region={region}
-              data={regionData[region.id]}
-              lang={lang}
-              scanning={scanning}
-              geoInfo={geoInfo}
-            />
-          ))}
-        </div>
+  return { enabledRegions, toggleRegion };
+}
 
-        {/* Footer note */}
-        {hasScanned && <p style={styles.note}>{t(lang, "note")}</p>}
-      </div>
-    </div>
-  );
+// ─── Scan settings ──────────────────────────────────────────────────
+// Per-region measurement knobs, editable in the settings panel and kept
+// in localStorage. Values outside a field's range are clamped on load.
+// Regions without saved values use getDefaultSettings().
+const SETTINGS_STORAGE_KEY = "idv-ping-settings";
+
+const SETTINGS_FIELDS = [
+  {
+    key: "timeoutMs",
+    labelKey: "settingTimeout",
+    min: 500,
+    max: 15000,
+    step: 500,
+  },
+  { key: "attempts", labelKey: "settingAttempts", min: 1, max: 10, step: 1 },
+  { key: "attemptGapMs", labelKey: "settingGap", min: 0, max: 2000, step: 10 },
+  // Posterior probability needed to call a group live or dead; a dead group
+  // stops being measured once another group is confidently live.
+  {
+    key: "groupConfidence",
+    labelKey: "settingGroupConfidence",
+    min: 80,
+    max: 99,
+    step: 1,
+  },
+];
+
+function getDefaultSettings() {
+  return {
+    timeoutMs: REQUEST_TIMEOUT_MS,
+    attempts: 3,
+    attemptGapMs: ATTEMPT_GAP_MS,
+    groupConfidence: 99,
+  };
 }
 
-// ─── Ping a single region ────────────────────────────────────────────
-async function pingRegion(region, dataRef, onUpdate, triggerGeo) {
-  const data = dataRef[region.id];
-  if (!data || data.servers.length === 0) {
-    onUpdate({
-      [region.id]: { ...data, done: true },
-    });
-    return;
+function sanitizeSettings(raw) {
+  const out = getDefaultSettings();
+  for (const field of SETTINGS_FIELDS) {
+    const n = Number(raw?.[field.key]);
+    if (Number.isFinite(n)) {
+      out[field.key] = Math.min(field.max, Math.max(field.min, Math.round(n)));
+    }
   }
+  return out;
+}
 
-  const servers = [...data.servers];
-  const hasGroups = region.hasGroups;
+function loadSettings() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || "{}");
+    return Object.fromEntries(
+      Object.entries(raw || {}).map(([id, v]) => [id, sanitizeSettings(v)])
+    );
+  } catch {
+    return {};
+  }
+}
 
-  if (hasGroups) {
-    // Separate into groups
-    const groupA = [];
-    const groupB = [];
-    servers.forEach((s, i) => {
-      if (s.group === "A") groupA.push({ ...s, index: i });
-      else if (s.group === "B") groupB.push({ ...s, index: i });
-      else groupA.push({ ...s, index: i });
-    });
+function saveSettings(settings) {
+  try {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Storage unavailable; settings apply to this visit only.
+  }
+}
 
-    // Ping both groups in parallel with early termination
-    const groupAResults = { timeouts: 0, ups: 0, results: [] };
-    const groupBResults = { timeouts: 0, ups: 0, results: [] };
+function useScanSettings() {
+  const [settings, setSettings] = useState({});
 
-    // Asia: 3 timeouts to detect dead group, NA-EU: 5
-    const timeoutThreshold = region.id === "asianormal" ? 3 : 5;
+  useEffect(() => {
+    setSettings(loadSettings());
+  }, []);
 
-    const pingGroup = async (items, stats, otherStats) => {
-      for (const server of items) {
-        // Early termination: N timeouts in this group + 3 ups in other group
-        if (stats.timeouts >= timeoutThreshold && otherStats.ups >= 3) {
-          // Mark remaining as skipped (they belong to dead group)
-          const currentIdx = items.indexOf(server);
-          for (let j = currentIdx; j < items.length; j++) {
-            stats.results.push({
-              index: items[j].index,
-              ping: null,
-              status: "skipped",
-            });
-          }
-          break;
-        }
+  const updateSetting = useCallback((regionId, key, value) => {
+    setSettings((prev) => {
+      const next = {
+        ...prev,
+        [regionId]: sanitizeSettings({
+          ...prev[regionId],
+          [key]: value,
+        }),
+      };
+      saveSettings(next);
+      return next;
+    });
+  }, []);
 
-        // Mark as measuring
-        updateServer(
-          region.id,
-          server.index,
-          { status: "measuring" },
-          onUpdate,
-          dataRef
-        );
+  const resetSettings = useCallback(() => {
+    try {
+      localStorage.removeItem(SETTINGS_STORAGE_KEY);
+    } catch {
+      // ignore
+    }
+    setSettings({});
+  }, []);
 
-        const ping = await measurePing(server.ip, server.port);
-        const status = ping !== null ? "done" : "timeout";
+  return { settings, updateSetting, resetSettings };
+}
 
-        if (ping !== null) stats.ups++;
-        else stats.timeouts++;
+// ─── Region stats ───────────────────────────────────────────────────
+// Servers shown for a region: dead groups are hidden, then sorted so
+// responded servers come first (by ping asc), then in-progress, then timeouts.
+function getDisplayServers(region, data) {
+  const servers = data?.servers || [];
+  const hasGroups = region.hasGroups;
+  const activeGroup = data?.activeGroup;
 
-        stats.results.push({ index: server.index, ping, status });
-        updateServer(
-          region.id,
-          server.index,
-          { ping, status },
-          onUpdate,
-          dataRef
-        );
+  // For grouped regions: show live and unclear groups, hide only the ones
+  // detected as dead (none left means every group is dead)
+  let displayServers = servers;
+  if (hasGroups && data?.done) {
+    const visible = [
+      ...(activeGroup ? activeGroup.split("+") : []),
+      ...(data.unclearGroups || []),
+    ];
+    displayServers = servers.filter((s) =>
+      visible.includes(getServerGroup(s))
+    );
+  }
 
-        // Trigger geo lookup immediately for servers that responded
-        if (ping !== null && triggerGeo) triggerGeo(server.ip);
-      }
+  return [...displayServers].sort((a, b) => {
+    const order = (s) => {
+      if (s.ping !== null) return 0;          // responded — top
+      if (s.status === "measuring") return 1; // in progress
+      if (s.status === "waiting") return 2; // queued
+      return 3; // timeout/skipped/error — bottom
     };
+    const oa = order(a);
+    const ob = order(b);
+    if (oa !== ob) return oa - ob;
+    // Within responded servers, sort by ping ascending
+    if (a.ping !== null && b.ping !== null) return a.ping - b.ping;
+    return 0;
+  });
+}
 
-    await Promise.all([
-      pingGroup(groupA, groupAResults, groupBResults),
-      pingGroup(groupB, groupBResults, groupAResults),
-    ]);
+function summarizeServers(servers) {
+  const doneServers = servers.filter(
+    (s) => s.status === "done" || s.status === "timeout"
+  );
+  const upServers = doneServers.filter((s) => s.ping !== null);
+  const pings = upServers.map((s) => s.ping);
+  const mean = (values) =>
+    values.length > 0
+      ? Math.round(values.reduce((a, v) => a + v, 0) / values.length)
+      : null;
+  // Entries saved before per-sample stats existed only know up/down.
+  const losses = doneServers.map(
+    (s) => s.pingStats?.loss ?? (s.ping === null ? 100 : 0)
+  );
+  const jitters = upServers
+    .map((s) => s.pingStats?.jitter)
+    .filter((j) => typeof j === "number");
+  return {
+    done: doneServers.length,
+    responded: upServers.length,
+    timeout: doneServers.length - upServers.length,
+    avg:
+      pings.length > 0
+        ? Math.round(pings.reduce((a, p) => a + p, 0) / pings.length)
+        : null,
+    best: pings.length > 0 ? Math.min(...pings) : null,
+    worst: pings.length > 0 ? Math.max(...pings) : null,
+    jitter: mean(jitters),
+    loss: mean(losses),
+  };
+}
 
-    // Determine active group(s)
-    let activeGroup = null;
-    const aUps = groupAResults.ups;
-    const bUps = groupBResults.ups;
+// ─── Recommendation ─────────────────────────────────────────────────
+// Ranks each region (and each live match group of grouped regions) by
+// expected play quality. Lower score is better:
+//   median ping + SPREAD_WEIGHT * IQR across servers
+//   + TIMEOUT_PENALTY_MS * share of servers that timed out
+const SPREAD_WEIGHT = 0.5;
+const TIMEOUT_PENALTY_MS = 300;
 
-    if (aUps > 0 && bUps === 0) activeGroup = "A";
-    else if (bUps > 0 && aUps === 0) activeGroup = "B";
-    else if (aUps > 0 && bUps > 0) activeGroup = "A+B";
-    // else both down
+function getCandidateStats(servers) {
+  const done = servers.filter(
+    (s) => s.status === "done" || s.status === "timeout"
+  );
+  const pings = done
+    .map((s) => s.ping)
+    .filter((p) => p !== null)
+    .sort((a, b) => a - b);
+  if (pings.length === 0) return null;
+  const at = (q) =>
+    pings[Math.min(pings.length - 1, Math.floor(pings.length * q))];
+  const mid = Math.round(median(pings));
+  const spread = at(0.75) - at(0.25);
+  const timeoutRatio = (done.length - pings.length) / done.length;
+  return {
+    median: mid,
+    spread,
+    timeoutRatio,
+    score: Math.round(
+      mid + SPREAD_WEIGHT * spread + TIMEOUT_PENALTY_MS * timeoutRatio
+    ),
+  };
+}
 
-    // Update final state
-    const finalServers = [...dataRef[region.id].servers];
-    [...groupAResults.results, ...groupBResults.results].forEach((r) => {
-      finalServers[r.index] = {
-        ...finalServers[r.index],
-        ping: r.ping,
-        status: r.status,
-      };
-    });
+function rankCandidates(regions, regionData, lang) {
+  const candidates = [];
+  for (const region of regions) {
+    const data = regionData[region.id];
+    if (!data?.done || data.error) continue;
+    const servers = getDisplayServers(region, data);
+    const groups =
+      region.hasGroups && data.activeGroup
+        ? data.activeGroup.split("+")
+        : [null];
+    for (const group of groups) {
+      const stats = getCandidateStats(
+        group ? servers.filter((s) => getServerGroup(s) === group) : servers
+      );
+      if (!stats) continue;
+      const regionLabel = getRegionLabel(lang, region);
+      candidates.push({
+        key: `${region.id}:${group || ""}`,
+        label: group
+          ? `${regionLabel} · ${getGroupLabel(lang, region, group)}`
+          : regionLabel,
+        ...stats,
+      });
+    }
+  }
+  return candidates.sort((a, b) => a.score - b.score);
+}
 
-    dataRef[region.id] = {
-      ...dataRef[region.id],
-      servers: finalServers,
-      activeGroup,
-      done: true,
-    };
-    onUpdate({ [region.id]: dataRef[region.id] });
-  } else {
-    // No groups (test servers) — ping all sequentially
+function getQualityKey(score) {
+  if (score < 80) return "qualityGood";
+  if (score < 160) return "qualityFair";
+  return "qualityPoor";
+}
+
+function RecommendationCard({ regions, regionData, lang }) {
+  const ranked = useMemo(
+    () => rankCandidates(regions, regionData, lang),
+    [regions, regionData, lang]
+  );
+  if (ranked.length === 0) return null;
+  const [top, next] = ranked;
+
+  const explanation = [
+    tf(lang, "recommendReason", {
+      median: top.median,
+      spread: top.spread,
+      timeout: Math.round(top.timeoutRatio * 100),
+    }),
+    next
+      ? tf(lang, "recommendLead", {
+          diff: next.score - top.score,
+          next: next.label,
+        })
+      : t(lang, "recommendOnly"),
+    t(lang, getQualityKey(top.score)),
+  ].join(" ");
+
+  return (
+    <section style={styles.recommendCard}>
+      <p style={styles.recommendTitle}>{t(lang, "recommendTitle")}</p>
+      <div style={styles.recommendTop}>
+        <span style={styles.recommendLabel}>{top.label}</span>
+        <span
+          style={{ ...styles.pingValue, color: getPingColor(top.score) }}
+          title={t(lang, "recommendScoreHint")}
+        >
+          {t(lang, "recommendScore")} {top.score}
+        </span>
+      </div>
+      <p style={styles.recommendText}>{explanation}</p>
+      {ranked.length > 1 && (
+        <ol style={styles.recommendList}>
+          {ranked.slice(1).map((c, i) => (
+            <li key={c.key} style={styles.recommendItem}>
+              <span>
+                {i + 2}. {c.label}
+              </span>
+              <span
+                style={styles.pingMeta}
+                title={t(lang, "recommendScoreHint")}
+              >
+                {t(lang, "median")} {c.median}ms · ±{c.spread}ms ·{" "}
+                {Math.round(c.timeoutRatio * 100)}% ·{" "}
+                {t(lang, "recommendScore")} {c.score}
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </section>
+  );
+}
+
+// ─── Scan history ───────────────────────────────────────────────────
+// Completed scans are kept in localStorage so latency can be compared
+// across visits. Oldest entries are dropped beyond HISTORY_MAX_ENTRIES, or
+// earlier when localStorage runs out of space.
+const HISTORY_STORAGE_KEY = "idv-ping-history";
+const HISTORY_MAX_ENTRIES = 200;
+const HISTORY_PRUNE_DAYS = [1, 7, 30];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function loadHistory() {
+  try {
+    const raw = localStorage.getItem(HISTORY_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function isQuotaError(e) {
+  return (
+    e?.name === "QuotaExceededError" ||
+    e?.name === "NS_ERROR_DOM_QUOTA_REACHED"
+  );
+}
+
+// Returns the entries that were kept. When storage is full the oldest scans
+// are dropped until the rest fits, so new scans keep being saved.
+function saveHistory(entries) {
+  let kept = entries;
+  while (kept.length > 0) {
+    try {
+      localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(kept));
+      return kept;
+    } catch (e) {
+      // Unavailable (private mode): history stays in memory only.
+      if (!isQuotaError(e)) return entries;
+      kept = kept.slice(1);
+    }
+  }
+  // Not even the newest scan fits: clear the stored history and keep that
+  // scan in memory only.
+  try {
+    localStorage.removeItem(HISTORY_STORAGE_KEY);
+  } catch {
+    // Already unusable; nothing to clear.
+  }
+  return entries.slice(-1);
+}
+
+// Reduce a finished scan to what history needs: per-region active group
+// and per-server ping/status.
+function createHistoryEntry(regionData, timestamp = Date.now()) {
+  const regions = {};
+  for (const [regionId, data] of Object.entries(regionData)) {
+    if (!data || data.error) continue;
+    regions[regionId] = {
+      activeGroup: data.activeGroup,
+      unclearGroups: data.unclearGroups,
+      servers: (data.servers || []).map((s) => ({
+        serverId: s.serverId,
+        ip: s.ip,
+        port: s.port,
+        group: s.group,
+        ping: s.ping,
+        status: s.status,
+      })),
+    };
+  }
+  const id = `${timestamp}-${Math.random().toString(36).slice(2, 8)}`;
+  return { id, timestamp, regions };
+}
+
+function useScanHistory() {
+  const [history, setHistory] = useState([]);
+
+  useEffect(() => {
+    setHistory(loadHistory());
+  }, []);
+
+  // Every mutation persists immediately so a closed tab keeps the last scan.
+  const updateHistory = useCallback((fn) => {
+    setHistory((prev) => {
+      return saveHistory(fn(prev));
+    });
+  }, []);
+
+  const addEntry = useCallback(
+    (entry) =>
+      updateHistory((prev) => [...prev, entry].slice(-HISTORY_MAX_ENTRIES)),
+    [updateHistory]
+  );
+
+  const removeEntry = useCallback(
+    (id) => updateHistory((prev) => prev.filter((e) => e.id !== id)),
+    [updateHistory]
+  );
+
+  const pruneOlderThan = useCallback(
+    (ms) => {
+      const cutoff = Date.now() - ms;
+      updateHistory((prev) => prev.filter((e) => e.timestamp >= cutoff));
+    },
+    [updateHistory]
+  );
+
+  const clearHistory = useCallback(
+    () => updateHistory(() => []),
+    [updateHistory]
+  );
+
+  return { history, addEntry, removeEntry, pruneOlderThan, clearHistory };
+}
+
+// ─── Export ─────────────────────────────────────────────────────────
+// Serializes the current scan for bug reports. Rows cover every server
+// (including skipped/timeout); summaries match the RegionPanel stats bar.
+const EXPORT_COLUMNS = [
+  "region",
+  "serverId",
+  "ip",
+  "port",
+  "group",
+  "ping",
+  "min",
+  "p95",
+  "jitter",
+  "loss",
+  "status",
+  "confidence",
+  "sources",
+  "country",
+  "city",
+  "asn",
+  "org",
+  "matchRegion",
+];
+
+// { tcp: 2, "fetch-error": 1 } -> "tcp:2 fetch-error:1"
+function formatSources(sources) {
+  return Object.entries(sources || {})
+    .map(([source, count]) => `${source}:${count}`)
+    .join(" ");
+}
+
+function buildExportData(
+  regions,
+  regionData,
+  geoInfo,
+  lang,
+  timestamp = Date.now()
+) {
+  const rows = [];
+  const summaries = [];
+  for (const region of regions) {
+    const data = regionData[region.id];
+    if (!data || data.error) continue;
+    const matchRegion = getMatchRegionLabel(lang, region, data.activeGroup);
+    for (const s of data.servers || []) {
+      const geo = geoInfo[s.ip] || {};
+      rows.push({
+        region: region.id,
+        serverId: s.serverId,
+        ip: s.ip,
+        port: s.port,
+        group: s.group,
+        ping: s.ping,
+        min: s.pingStats?.min ?? null,
+        p95: s.pingStats?.p95 ?? null,
+        jitter: s.pingStats?.jitter ?? null,
+        loss: s.pingStats?.loss ?? null,
+        status: s.status,
+        confidence: s.pingStats?.confidence ?? null,
+        sources: formatSources(s.pingStats?.sources),
+        country: geo.country || "",
+        city: geo.city || "",
+        asn: geo.asn || "",
+        org: geo.org || "",
+        matchRegion,
+      });
+    }
+    summaries.push({
+      region: region.id,
+      label: getRegionLabel(lang, region),
+      matchRegion,
+      ...summarizeServers(getDisplayServers(region, data)),
+    });
+  }
+  return { scannedAt: new Date(timestamp).toISOString(), summaries, rows };
+}
+
+function toCsv({ rows }) {
+  const lines = [EXPORT_COLUMNS.join(",")];
+  for (const row of rows) {
+    lines.push(EXPORT_COLUMNS.map((c) => csvEscape(row[c])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+function toJson(exportData) {
+  return JSON.stringify(exportData, null, 2) + "\n";
+}
+
+function mdCell(value) {
+  const str = value === null || value === undefined ? "" : String(value);
+  return str.replace(/\|/g, "\\|");
+}
+
+function toMarkdown({ scannedAt, summaries, rows }, lang) {
+  const ms = (v) => (v !== null ? `${v}ms` : "—");
+  const pct = (v) => (v !== null ? `${v}%` : "—");
+  const lines = [
+    `# ${t(lang, "exportTitle")}`,
+    "",
+    `${t(lang, "scannedAt")}: ${scannedAt}`,
+    "",
+  ];
+  for (const summary of summaries) {
+    lines.push(`## ${summary.label}`, "");
+    if (summary.matchRegion) {
+      lines.push(`${t(lang, "matchRegion")}: ${summary.matchRegion}`, "");
+    }
+    const summaryCells = [
+      ["responded", summary.responded],
+      ["timeout", summary.timeout],
+      ["avg", ms(summary.avg)],
+      ["best", ms(summary.best)],
+      ["worst", ms(summary.worst)],
+      ["jitter", ms(summary.jitter)],
+      ["loss", pct(summary.loss)],
+    ];
+    lines.push(
+      `| ${summaryCells.map(([key]) => t(lang, key)).join(" | ")} |`,
+      `| ${summaryCells.map(() => "---").join(" | ")} |`,
+      `| ${summaryCells.map(([, value]) => value).join(" | ")} |`,
+      ""
+    );
+    const regionRows = rows.filter((r) => r.region === summary.region);
+    if (regionRows.length === 0) continue;
+    lines.push(
+      "| ID | IP | Port | Group | Ping | P95 | Jitter | Loss | Status | Country | City | ASN | Org |",
+      "| --- | --- | --- | --- | --- | --- | --- | --- | --- | --- | --- | --- | --- |"
+    );
+    for (const r of regionRows) {
+      const cells = [
+        r.serverId,
+        r.ip,
+        r.port,
+        r.group,
+        ms(r.ping),
+        ms(r.p95),
+        ms(r.jitter),
+        pct(r.loss),
+        r.status,
+        r.country,
+        r.city,
+        r.asn,
+        r.org,
+      ];
+      lines.push(`| ${cells.map(mdCell).join(" | ")} |`);
+    }
+    lines.push("");
+  }
+  return lines.join("\n");
+}
+
+const EXPORT_FORMATS = [
+  { id: "csv", label: "CSV", mime: "text/csv", serialize: toCsv },
+  { id: "json", label: "JSON", mime: "application/json", serialize: toJson },
+  { id: "md", label: "Markdown", mime: "text/markdown", serialize: toMarkdown },
+];
+
+function downloadFile(filename, content, mime) {
+  const blob = new Blob([content], { type: `${mime};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function exportScan(format, regions, regionData, geoInfo, lang) {
+  const timestamp = Date.now();
+  const data = buildExportData(regions, regionData, geoInfo, lang, timestamp);
+  const stamp = new Date(timestamp).toISOString().replace(/[:.]/g, "-");
+  downloadFile(
+    `idv-ping-${stamp}.${format.id}`,
+    format.serialize(data, lang),
+    format.mime
+  );
+}
+
+// ─── Monitoring ─────────────────────────────────────────────────────
+// After a scan, monitoring re-pings the servers each RegionPanel shows
+// (the detected active group) every MONITOR_INTERVAL_MS until stopped.
+// Only the last MONITOR_WINDOW samples per server are kept.
+const MONITOR_INTERVAL_MS = 5000;
+const MONITOR_WINDOW = 30;
+
+function getMonitorTargets(region, data) {
+  if (!data || data.error) return [];
+  const seen = new Set();
+  return getDisplayServers(region, data).filter(
+    (s) =>
+      (s.status === "done" || s.status === "timeout") &&
+      !seen.has(s.ip) &&
+      seen.add(s.ip)
+  );
+}
+
+// samples: { [regionId]: { [ip]: (number | null)[] } }, null = timeout
+function appendMonitorSample(samples, regionId, ip, ping) {
+  const region = samples[regionId] || {};
+  const next = [...(region[ip] || []), ping].slice(-MONITOR_WINDOW);
+  return { ...samples, [regionId]: { ...region, [ip]: next } };
+}
+
+function getRollingAverage(regionSamples) {
+  const values = Object.values(regionSamples || {})
+    .flat()
+    .filter((v) => v !== null);
+  if (values.length === 0) return null;
+  return Math.round(values.reduce((a, v) => a + v, 0) / values.length);
+}
+
+// ─── Main component ─────────────────────────────────────────────────
+export default function Home() {
+  const [lang, setLang] = useLang();
+  const [scanning, setScanning] = useState(false);
+  const [hasScanned, setHasScanned] = useState(false);
+  const [regionData, setRegionData] = useState({});
+  const [geoInfo, setGeoInfo] = useState({}); // { [ip]: { flag, country, org, asn, city, ... } }
+  const [showHistory, setShowHistory] = useState(false);
+  const [measureMode, setMeasureMode] = useState("browser"); // browser | server
+  const [monitoring, setMonitoring] = useState(false);
+  const [monitorSamples, setMonitorSamples] = useState({});
+  const [showSettings, setShowSettings] = useState(false);
+  const [showMap, setShowMap] = useState(false);
+  const userLocation = useUserLocation(showMap);
+  const { settings, updateSetting, resetSettings } = useScanSettings();
+  const { regions, regionsError } = useRegions();
+  const { enabledRegions, toggleRegion } = useEnabledRegions(regions);
+  const { history, addEntry, removeEntry, pruneOlderThan, clearHistory } =
+    useScanHistory();
+
+  // Ref so ping callbacks can trigger geo lookups without stale closure
+  const geoSetterRef = useRef(setGeoInfo);
+  geoSetterRef.current = setGeoInfo;
+
+  // Monitoring loop reads the latest scan results through a ref
+  const regionDataRef = useRef(regionData);
+  regionDataRef.current = regionData;
+  const monitorSessionRef = useRef(null);
+
+  const stopMonitoring = useCallback(() => {
+    if (monitorSessionRef.current) monitorSessionRef.current.stopped = true;
+    monitorSessionRef.current = null;
+    setMonitoring(false);
+  }, []);
+
+  const startMonitoring = useCallback(() => {
+    const session = { stopped: false };
+    monitorSessionRef.current = session;
+    setMonitoring(true);
+    setMonitorSamples({});
+    const measure = getMeasureFn(measureMode, settings);
+
+    const monitorRegion = async (region) => {
+      const targets = getMonitorTargets(
+        region,
+        regionDataRef.current[region.id]
+      );
+      for (const server of targets) {
+        if (session.stopped) return;
+        const { ping, error } = await measure(region, server);
+        if (session.stopped) return;
+        if (error) continue; // not measured: neither a sample nor a timeout
+        setMonitorSamples((prev) =>
+          appendMonitorSample(prev, region.id, server.ip, ping)
+        );
+      }
+    };
+
+    (async () => {
+      while (!session.stopped) {
+        await Promise.all(enabledRegions.map(monitorRegion));
+        if (session.stopped) break;
+        await new Promise((r) => setTimeout(r, MONITOR_INTERVAL_MS));
+      }
+    })();
+  }, [enabledRegions, measureMode, settings]);
+
+  // Stop the loop if the page unmounts mid-monitoring
+  useEffect(() => stopMonitoring, [stopMonitoring]);
+
+  // One scan, region rescan or server retest runs at a time; Stop aborts
+  // it through this controller.
+  const scanAbortRef = useRef(null);
+
+  const beginScan = () => {
+    stopMonitoring();
+    const controller = new AbortController();
+    scanAbortRef.current = controller;
+    setScanning(true);
+    return controller.signal;
+  };
+
+  const endScan = () => {
+    scanAbortRef.current = null;
+    setScanning(false);
+  };
+
+  const stopScan = useCallback(() => {
+    scanAbortRef.current?.abort();
+    fetchErrorCalibration.discard();
+  }, []);
+
+  const onRegionUpdate = useCallback(
+    (updated) => setRegionData((prev) => ({ ...prev, ...updated })),
+    []
+  );
+
+  // Fire-and-forget geo lookup for a server that responded
+  const triggerGeo = useCallback((ip) => {
+    // Set up geo queue callback to update state as results arrive
+    geoQueue.callback = (geoIp, info) => {
+      geoSetterRef.current((prev) => ({ ...prev, [geoIp]: info }));
+    };
+    geoQueue.enqueue(ip);
+  }, []);
+
+  const startScan = useCallback(async () => {
+    const signal = beginScan();
+    setMonitorSamples({});
+    setHasScanned(true);
+    const newData = {};
+
+    const measure = getMeasureFn(measureMode, settings, signal);
+
+    // Fetch all server lists in parallel
+    const entries = await Promise.all(
+      enabledRegions.map((region) => fetchRegionData(region, signal))
+    );
+    enabledRegions.forEach((region, i) => {
+      newData[region.id] = entries[i];
+    });
+
+    setRegionData({ ...newData });
+
+    // Ping all regions in parallel, geo lookups triggered as pings complete
+    await Promise.all(
+      enabledRegions.map((region) =>
+        pingRegion(
+          region,
+          newData,
+          onRegionUpdate,
+          triggerGeo,
+          measure,
+          settings[region.id],
+          signal
+        )
+      )
+    );
+
+    // A stopped scan is incomplete; keep it out of history and calibration
+    if (!signal.aborted) {
+      addEntry(createHistoryEntry(newData));
+      if (measureMode === "browser") fetchErrorCalibration.commit();
+    }
+    endScan();
+  }, [
+    addEntry,
+    enabledRegions,
+    measureMode,
+    settings,
+    stopMonitoring,
+    onRegionUpdate,
+    triggerGeo,
+  ]);
+
+  // Refetch one region's list and measure it again; other regions keep
+  // their results.
+  const rescanRegion = useCallback(
+    async (region) => {
+      const signal = beginScan();
+      const data = {
+        ...regionDataRef.current,
+        [region.id]: await fetchRegionData(region, signal),
+      };
+      onRegionUpdate({ [region.id]: data[region.id] });
+      await pingRegion(
+        region,
+        data,
+        onRegionUpdate,
+        triggerGeo,
+        getMeasureFn(measureMode, settings, signal),
+        settings[region.id],
+        signal
+      );
+      endScan();
+    },
+    [measureMode, settings, stopMonitoring, onRegionUpdate, triggerGeo]
+  );
+
+  // Measure a single server again, in place.
+  const retestServer = useCallback(
+    async (region, target) => {
+      const data = { ...regionDataRef.current };
+      // Lists can repeat an IP, so match the row by its server id too
+      const index = data[region.id]?.servers.findIndex(
+        (s) => s.serverId === target.serverId && s.ip === target.ip
+      );
+      if (index === undefined || index === -1) return;
+      const previous = data[region.id].servers[index];
+      const signal = beginScan();
+
+      updateServer(
+        region.id,
+        index,
+        { status: "measuring" },
+        onRegionUpdate,
+        data
+      );
+      const measure = getMeasureFn(measureMode, settings, signal);
+      const pingStats = await measure(region, previous);
+      // Stopped: put the previous result back
+      const updates = pingStats.aborted
+        ? previous
+        : {
+            ping: pingStats.ping,
+            pingStats,
+            status: measuredStatus(pingStats),
+          };
+      updateServer(region.id, index, updates, onRegionUpdate, data);
+      if (pingStats.ping !== null) triggerGeo(previous.ip);
+      endScan();
+    },
+    [measureMode, settings, stopMonitoring, onRegionUpdate, triggerGeo]
+  );
+
+  return (
+    <div style={styles.page}>
+      <div className="container" style={styles.container}>
+        {/* Header */}
+        <header className="header" style={styles.header}>
+          <h1 className="title" style={styles.title}>Identity V Game Server Ping Checker</h1>
+          <p className="subtitle" style={styles.subtitle}>{t(lang, "subtitle")}</p>
+          <div className="header-actions" style={styles.headerActions}>
+            <button
+              className="scan-btn"
+              style={
+                scanning || enabledRegions.length === 0
+                  ? styles.btnDisabled
+                  : styles.btn
+              }
+              onClick={startScan}
+              disabled={scanning || enabledRegions.length === 0}
+            >
+              {scanning
+                ? t(lang, "scanning")
+                : hasScanned
+                  ? t(lang, "rescan")
+                  : t(lang, "startScan")}
+            </button>
+            {scanning && (
+              <button
+                className="lang-btn"
+                style={styles.monitorBtnActive}
+                onClick={stopScan}
+              >
+                {t(lang, "stopScan")}
+              </button>
+            )}
+            <button
+              className="lang-btn"
+              style={styles.langBtn}
+              onClick={() => setLang(lang === "en" ? "ja" : "en")}
+            >
+              {lang === "en" ? "日本語" : "English"}
+            </button>
+            <button
+              className="lang-btn"
+              style={
+                scanning || monitoring ? styles.langBtnDisabled : styles.langBtn
+              }
+              disabled={scanning || monitoring}
+              onClick={() =>
+                setMeasureMode((m) => (m === "browser" ? "server" : "browser"))
+              }
+            >
+              {measureMode === "server"
+                ? t(lang, "measureServer")
+                : t(lang, "measureBrowser")}
+            </button>
+            <button
+              className="lang-btn"
+              style={styles.langBtn}
+              onClick={() => setShowHistory((v) => !v)}
+            >
+              {showHistory ? t(lang, "hideHistory") : t(lang, "history")}
+            </button>
+            <button
+              className="lang-btn"
+              style={styles.langBtn}
+              onClick={() => setShowSettings((v) => !v)}
+            >
+              {showSettings ? t(lang, "hideSettings") : t(lang, "settings")}
+            </button>
+            <button
+              className="lang-btn"
+              style={styles.langBtn}
+              onClick={() => setShowMap((v) => !v)}
+            >
+              {showMap ? t(lang, "hideMap") : t(lang, "map")}
+            </button>
+            {hasScanned && !scanning && (
+              <button
+                className="lang-btn"
+                style={monitoring ? styles.monitorBtnActive : styles.langBtn}
+                onClick={monitoring ? stopMonitoring : startMonitoring}
+              >
+                {monitoring ? t(lang, "stopMonitor") : t(lang, "monitor")}
+              </button>
+            )}
+            {hasScanned && !scanning && (
+              <div style={styles.exportGroup}>
+                <span style={styles.historyLabel}>{t(lang, "export")}</span>
+                {EXPORT_FORMATS.map((format) => (
+                  <button
+                    key={format.id}
+                    style={styles.smallBtn}
+                    onClick={() =>
+                      exportScan(
+                        format,
+                        enabledRegions,
+                        regionData,
+                        geoInfo,
+                        lang
+                      )
+                    }
+                  >
+                    {format.label}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+          <div style={styles.regionPicker}>
+            {regions.map((region) => {
+              const enabled = enabledRegions.some((r) => r.id === region.id);
+              return (
+                <button
+                  key={region.id}
+                  style={enabled ? styles.regionChipOn : styles.regionChip}
+                  disabled={scanning || monitoring}
+                  aria-pressed={enabled}
+                  onClick={() => toggleRegion(region.id)}
+                >
+                  {getRegionLabel(lang, region)}
+                </button>
+              );
+            })}
+          </div>
+        </header>
+
+        {regionsError && (
+          <p style={styles.errorText}>{t(lang, "regionsError")}</p>
+        )}
+
+        {/* Scan settings */}
+        {showSettings && (
+          <SettingsPanel
+            regions={enabledRegions}
+            settings={settings}
+            lang={lang}
+            disabled={scanning || monitoring}
+            onChange={updateSetting}
+            onReset={resetSettings}
+          />
+        )}
+
+        {/* Best region once the scan has finished */}
+        {hasScanned && !scanning && (
+          <RecommendationCard
+            regions={enabledRegions}
+            regionData={regionData}
+            lang={lang}
+          />
+        )}
+
+        {/* Region panels, with the map alongside when open */}
+        <div style={styles.mainLayout}>
+          <div className="grid" style={styles.mainGrid}>
+            {enabledRegions.map((region) => (
+              <RegionPanel
+                key={region.id}
+                region={region}
+                data={regionData[region.id]}
+                lang={lang}
+                scanning={scanning}
+                geoInfo={geoInfo}
+                samples={monitorSamples[region.id]}
+                onRescan={() => rescanRegion(region)}
+                onRetest={(server) => retestServer(region, server)}
+              />
+            ))}
+          </div>
+          {showMap && (
+            <MapPanel
+              regions={enabledRegions}
+              regionData={regionData}
+              geoInfo={geoInfo}
+              lang={lang}
+              userLocation={userLocation}
+            />
+          )}
+        </div>
+
+        {/* Scan history */}
+        {showHistory && (
+          <HistoryPanel
+            regions={regions}
+            history={history}
+            lang={lang}
+            onRemove={removeEntry}
+            onPrune={pruneOlderThan}
+            onClear={clearHistory}
+          />
+        )}
+
+        {/* Footer note */}
+        {hasScanned && (
+          <p style={styles.note}>
+            {t(lang, measureMode === "server" ? "noteServer" : "note")}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ─── Group detection ────────────────────────────────────────────────
+// Each measured server is evidence about its group: a live group answers
+// most probes (LIVE_RESPONSE_RATE), a dead one almost never does, though a
+// closed port can still produce a fast fetch error that reads as a reply
+// (DEAD_RESPONSE_RATE). With an even prior, the posterior that a group is
+// live after `ups` replies and `timeouts` misses is a logistic of the log
+// likelihood ratio. 3 misses and no replies is ~0.4% live; 2 replies ~99.9%.
+const LIVE_RESPONSE_RATE = 0.85;
+const DEAD_RESPONSE_RATE = 0.02;
+const LOG_LR_UP = Math.log(LIVE_RESPONSE_RATE / DEAD_RESPONSE_RATE);
+const LOG_LR_TIMEOUT = Math.log(
+  (1 - LIVE_RESPONSE_RATE) / (1 - DEAD_RESPONSE_RATE)
+);
+
+function getGroupLiveProbability({ ups, timeouts }) {
+  const logLr = ups * LOG_LR_UP + timeouts * LOG_LR_TIMEOUT;
+  return 1 / (1 + Math.exp(-logLr));
+}
+
+// ─── Server lists ───────────────────────────────────────────────────
+// Fresh list for a region with every server waiting to be measured.
+async function fetchRegionData(region, signal) {
+  try {
+    const res = await fetch(`/api/servers?region=${region.id}`, { signal });
+    // Rate limited or upstream failure: an error, not an empty list
+    if (!res.ok) throw new Error(`servers ${res.status}`);
+    const json = await res.json();
+    return {
+      servers: (json.servers || []).map((s) => ({
+        ...s,
+        ping: null,
+        status: "waiting",
+      })),
+      activeGroup: null,
+      changes: json.changes || null,
+      // Upstream failed and the server sent its last good list instead
+      staleSince: json.stale ? Date.now() - json.ageMs : null,
+      error: false,
+      done: false,
+    };
+  } catch {
+    // Stopped before the list arrived is not a fetch failure
+    return {
+      servers: [],
+      activeGroup: null,
+      changes: null,
+      staleSince: null,
+      error: !signal?.aborted,
+      cancelled: !!signal?.aborted,
+      done: false,
+    };
+  }
+}
+
+// Row status for a finished measurement.
+function measuredStatus(pingStats) {
+  if (pingStats.error) return "error";
+  return pingStats.ping !== null ? "done" : "timeout";
+}
+
+// ─── Ping a single region ────────────────────────────────────────────
+async function pingRegion(
+  region,
+  dataRef,
+  onUpdate,
+  triggerGeo,
+  measure,
+  settings = getDefaultSettings(),
+  signal
+) {
+  const data = dataRef[region.id];
+  if (!data || data.servers.length === 0) {
+    onUpdate({
+      [region.id]: { ...data, done: true },
+    });
+    return;
+  }
+
+  const servers = [...data.servers];
+  const hasGroups = region.hasGroups;
+
+  if (hasGroups) {
+    // Separate into groups by letter, in list order
+    const groups = new Map(); // letter -> { items, ups, timeouts, results }
+    servers.forEach((s, i) => {
+      const group = getServerGroup(s);
+      if (!groups.has(group)) {
+        groups.set(group, { items: [], ups: 0, timeouts: 0, results: [] });
+      }
+      groups.get(group).items.push({ ...s, index: i });
+    });
+
+    const confidence = settings.groupConfidence / 100;
+    const others = (group) =>
+      [...groups].filter(([g]) => g !== group).map(([, stats]) => stats);
+
+    // Ping all groups in parallel with early termination
+    const pingGroup = async (group, stats) => {
+      for (const [i, server] of stats.items.entries()) {
+        // Stopped by the user: leave the rest unmeasured
+        if (signal?.aborted) {
+          for (const rest of stats.items.slice(i)) {
+            stats.results.push({
+              index: rest.index,
+              ping: null,
+              pingStats: null,
+              status: "cancelled",
+            });
+          }
+          break;
+        }
+
+        // Early termination: this group is confidently dead while another
+        // is confidently live
+        if (
+          getGroupLiveProbability(stats) <= 1 - confidence &&
+          others(group).some((o) => getGroupLiveProbability(o) >= confidence)
+        ) {
+          // Mark remaining as skipped (they belong to dead group)
+          for (const rest of stats.items.slice(i)) {
+            stats.results.push({
+              index: rest.index,
+              ping: null,
+              pingStats: null,
+              status: "skipped",
+            });
+          }
+          break;
+        }
+
+        // Mark as measuring
+        updateServer(
+          region.id,
+          server.index,
+          { status: "measuring" },
+          onUpdate,
+          dataRef
+        );
+
+        const pingStats = await measure(region, server);
+        if (pingStats.aborted) {
+          stats.results.push({
+            index: server.index,
+            ping: null,
+            pingStats: null,
+            status: "cancelled",
+          });
+          continue; // the next iteration cancels the rest
+        }
+        const ping = pingStats.ping;
+        const status = measuredStatus(pingStats);
+
+        // A failed probe is no evidence either way
+        if (status === "done") stats.ups++;
+        else if (status === "timeout") stats.timeouts++;
+
+        stats.results.push({ index: server.index, ping, pingStats, status });
+        updateServer(
+          region.id,
+          server.index,
+          { ping, pingStats, status },
+          onUpdate,
+          dataRef
+        );
+
+        // Trigger geo lookup immediately for servers that responded
+        if (ping !== null && triggerGeo) triggerGeo(server.ip);
+      }
+    };
+
+    await Promise.all(
+      [...groups].map(([group, stats]) => pingGroup(group, stats))
+    );
+
+    // Live groups reach the confidence setting, dead ones fall to its
+    // complement; anything in between is unclear and stays visible. The
+    // reported confidence is how sure the weakest of those calls is.
+    // Groups without a single result (scan stopped first) have no evidence
+    // either way: unclear, and left out of the confidence.
+    const groupConfidence = {};
+    for (const [group, stats] of groups) {
+      if (stats.ups + stats.timeouts > 0) {
+        groupConfidence[group] = getGroupLiveProbability(stats);
+      }
+    }
+    const liveGroups = Object.keys(groupConfidence)
+      .filter((g) => groupConfidence[g] >= confidence)
+      .sort();
+    const unclearGroups = [...groups.keys()]
+      .filter(
+        (g) =>
+          !(g in groupConfidence) ||
+          (groupConfidence[g] < confidence &&
+            groupConfidence[g] > 1 - confidence)
+      )
+      .sort();
+    const activeGroup = liveGroups.length > 0 ? liveGroups.join("+") : null;
+    const measured = Object.values(groupConfidence);
+    const detectionConfidence =
+      measured.length > 0
+        ? Math.min(...measured.map((p) => Math.max(p, 1 - p)))
+        : null;
+
+    // Update final state
+    const finalServers = [...dataRef[region.id].servers];
+    for (const stats of groups.values()) {
+      stats.results.forEach((r) => {
+        finalServers[r.index] = {
+          ...finalServers[r.index],
+          ping: r.ping,
+          pingStats: r.pingStats,
+          status: r.status,
+        };
+      });
+    }
+
+    dataRef[region.id] = {
+      ...dataRef[region.id],
+      servers: finalServers,
+      activeGroup,
+      unclearGroups,
+      groupConfidence,
+      detectionConfidence,
+      done: true,
+    };
+    onUpdate({ [region.id]: dataRef[region.id] });
+  } else {
+    // No groups (test servers) — ping all sequentially
     for (let i = 0; i < servers.length; i++) {
+      if (signal?.aborted) {
+        for (let j = i; j < servers.length; j++) {
+          updateServer(
+            region.id,
+            j,
+            { status: "cancelled" },
+            onUpdate,
+            dataRef
+          );
+        }
+        break;
+      }
       updateServer(
         region.id,
         i,
@@ -590,9 +2152,20 @@ async function pingRegion(region, dataRef, onUpdate, triggerGeo) {
         onUpdate,
         dataRef
       );
-      const ping = await measurePing(servers[i].ip, servers[i].port);
-      const status = ping !== null ? "done" : "timeout";
-      updateServer(region.id, i, { ping, status }, onUpdate, dataRef);
+      const pingStats = await measure(region, servers[i]);
+      if (pingStats.aborted) {
+        updateServer(region.id, i, { status: "cancelled" }, onUpdate, dataRef);
+        continue; // the next iteration cancels the rest
+      }
+      const ping = pingStats.ping;
+      const status = measuredStatus(pingStats);
+      updateServer(
+        region.id,
+        i,
+        { ping, pingStats, status },
+        onUpdate,
+        dataRef
+      );
       if (ping !== null && triggerGeo) triggerGeo(servers[i].ip);
     }
     dataRef[region.id] = { ...dataRef[region.id], done: true };
@@ -600,6 +2173,11 @@ async function pingRegion(region, dataRef, onUpdate, triggerGeo) {
   }
 }
 
+// 0.9994 -> "99.9%"; never rounds up to a certain 100%.
+function formatConfidence(p) {
+  return `${Math.min(99.9, Math.floor(p * 1000) / 10)}%`;
+}
+
 function updateServer(regionId, index, updates, onUpdate, dataRef) {
   const current = dataRef[regionId];
   const servers = [...current.servers];
@@ -609,12 +2187,23 @@ function updateServer(regionId, index, updates, onUpdate, dataRef) {
 }
 
 // ─── Region Panel Component ─────────────────────────────────────────
-function RegionPanel({ region, data, lang, scanning, geoInfo }) {
+function RegionPanel({
+  region,
+  data,
+  lang,
+  scanning,
+  geoInfo,
+  samples,
+  onRescan,
+  onRetest,
+}) {
+  const [view, setView] = useState("list"); // list | sites | columns
+
   if (!data) {
     return (
       <div style={styles.panel}>
         <div style={styles.panelHeader}>
-          <h2 style={styles.panelTitle}>{t(lang, region.labelKey)}</h2>
+          <h2 style={styles.panelTitle}>{getRegionLabel(lang, region)}</h2>
         </div>
         <div style={styles.panelBody}>
           <p style={styles.emptyText}>
@@ -629,7 +2218,7 @@ function RegionPanel({ region, data, lang, scanning, geoInfo }) {
     return (
       <div style={styles.panel}>
         <div style={styles.panelHeader}>
-          <h2 style={styles.panelTitle}>{t(lang, region.labelKey)}</h2>
+          <h2 style={styles.panelTitle}>{getRegionLabel(lang, region)}</h2>
         </div>
         <div style={styles.panelBody}>
           <p style={styles.errorText}>{t(lang, "fetchError")}</p>
@@ -638,119 +2227,176 @@ function RegionPanel({ region, data, lang, scanning, geoInfo }) {
     );
   }
 
-  const servers = data.servers || [];
-  const hasGroups = region.hasGroups;
   const activeGroup = data.activeGroup;
   const isRegionMeasuring = scanning && !data.done;
-
-  // For grouped regions: only show active group servers, hide dead group entirely
-  let displayServers = servers;
-  if (hasGroups && activeGroup && activeGroup !== "A+B") {
-    // Only one group active — show only that group
-    displayServers = servers.filter((s) => s.group === activeGroup);
-  } else if (hasGroups && data.done && !activeGroup) {
-    // Both groups dead
-    displayServers = [];
-  }
-  // If A+B: show all (both active)
-
-  // Sort: servers with ping results first (by ping asc), then in-progress, then timeouts
-  displayServers = [...displayServers].sort((a, b) => {
-    const order = (s) => {
-      if (s.ping !== null) return 0;          // responded — top
-      if (s.status === "measuring") return 1; // in progress
-      if (s.status === "waiting") return 2;   // queued
-      return 3;                                // timeout/skipped — bottom
-    };
-    const oa = order(a);
-    const ob = order(b);
-    if (oa !== ob) return oa - ob;
-    // Within responded servers, sort by ping ascending
-    if (a.ping !== null && b.ping !== null) return a.ping - b.ping;
-    return 0;
-  });
+  const displayServers = getDisplayServers(region, data);
+
+  // Server list changes reported by /api/servers since the previous list
+  const changes = data.changes;
+  const addedIps = new Set((changes?.added || []).map((s) => s.ip));
+  const changedIps = new Set((changes?.changed || []).map((c) => c.ip));
+  // Servers that moved to another port left this region's list too.
+  const removedServers = [
+    ...(changes?.removed || []),
+    ...(changes?.changed || [])
+      .filter((c) => c.after.port !== region.port)
+      .map((c) => ({ ...c.before, movedToPort: c.after.port })),
+  ];
 
   // Stats (only from displayed servers)
-  const doneServers = displayServers.filter(
-    (s) => s.status === "done" || s.status === "timeout"
-  );
-  const upServers = doneServers.filter((s) => s.ping !== null);
-  const avgPing =
-    upServers.length > 0
-      ? Math.round(
-          upServers.reduce((a, s) => a + s.ping, 0) / upServers.length
-        )
-      : null;
-  const bestPing =
-    upServers.length > 0 ? Math.min(...upServers.map((s) => s.ping)) : null;
-  const worstPing =
-    upServers.length > 0 ? Math.max(...upServers.map((s) => s.ping)) : null;
+  const stats = summarizeServers(displayServers);
+  const rollingAvg = getRollingAverage(samples);
 
   // Group label for badge
-  let groupBadgeText = null;
-  if (hasGroups && activeGroup && activeGroup !== "A+B") {
-    groupBadgeText = `${t(lang, "matchRegion")}: ${getGroupLabel(lang, region.id, activeGroup)}`;
-  } else if (hasGroups && activeGroup === "A+B") {
-    const labelA = getGroupLabel(lang, region.id, "A");
-    const labelB = getGroupLabel(lang, region.id, "B");
-    groupBadgeText = `${t(lang, "matchRegion")}: ${labelA} + ${labelB}`;
-  }
+  const matchRegionLabel = getMatchRegionLabel(lang, region, activeGroup);
+  const confidenceText =
+    data.detectionConfidence != null
+      ? `${formatConfidence(data.detectionConfidence)} ${t(lang, "confidence")}`
+      : null;
+  const unclearLabel = (data.unclearGroups || [])
+    .map((g) => getGroupLabel(lang, region, g))
+    .join(" + ");
+  const groupBadgeText =
+    matchRegionLabel || unclearLabel
+      ? [
+          matchRegionLabel && `${t(lang, "matchRegion")}: ${matchRegionLabel}`,
+          unclearLabel && `${t(lang, "unclearGroups")}: ${unclearLabel}`,
+          confidenceText,
+        ]
+          .filter(Boolean)
+          .join(" · ")
+      : null;
+  const groupBadgeTitle = data.groupConfidence
+    ? Object.entries(data.groupConfidence)
+        .map(
+          ([g, p]) =>
+            `${getGroupLabel(lang, region, g)}: ${formatConfidence(p)}`
+        )
+        .join("\n")
+    : undefined;
 
   return (
     <div style={styles.panel}>
       <div style={styles.panelHeader}>
         <div style={styles.panelTitleRow}>
-          <h2 style={styles.panelTitle}>{t(lang, region.labelKey)}</h2>
+          <h2 style={styles.panelTitle}>{getRegionLabel(lang, region)}</h2>
           {isRegionMeasuring && (
             <span style={styles.regionScanStatus}>{t(lang, "measuring")}</span>
           )}
+          <button
+            style={scanning ? styles.smallBtnDisabled : styles.smallBtn}
+            disabled={scanning}
+            onClick={onRescan}
+          >
+            {t(lang, "rescanRegion")}
+          </button>
+          <div style={styles.viewToggle}>
+            {PANEL_VIEWS.map(({ id, labelKey }) => (
+              <button
+                key={id}
+                style={view === id ? styles.smallBtnActive : styles.smallBtn}
+                aria-pressed={view === id}
+                onClick={() => setView(id)}
+              >
+                {t(lang, labelKey)}
+              </button>
+            ))}
+          </div>
         </div>
+        {data.staleSince != null && (
+          <p style={styles.staleNotice}>
+            {tf(lang, "staleList", {
+              minutes: Math.max(
+                1,
+                Math.round((Date.now() - data.staleSince) / 60000)
+              ),
+            })}
+          </p>
+        )}
         {groupBadgeText && (
           <div style={styles.groupBadgeRow}>
-            <span style={styles.groupBadge}>{groupBadgeText}</span>
+            <span style={styles.groupBadge} title={groupBadgeTitle}>
+              {groupBadgeText}
+            </span>
           </div>
         )}
-        {/* Stats bar (only for non-test servers with multiple IPs) */}
-        {hasGroups && doneServers.length > 0 && (
+        {/* Stats bar */}
+        {stats.done > 0 && (
           <div className="stats-bar" style={styles.statsBar}>
             <Stat
               label={t(lang, "responded")}
-              value={upServers.length}
-              accent={upServers.length > 0 ? "#a0a0a0" : "#666"}
+              value={stats.responded}
+              accent={stats.responded > 0 ? "#a0a0a0" : "#666"}
             />
             <Stat
               label={t(lang, "timeout")}
-              value={doneServers.length - upServers.length}
+              value={stats.timeout}
               accent="#666"
             />
-            {avgPing !== null && (
+            {stats.avg !== null && (
               <Stat
                 label={t(lang, "avg")}
-                value={`${avgPing}ms`}
+                value={`${stats.avg}ms`}
                 accent="#a0a0a0"
               />
             )}
-            {bestPing !== null && (
+            {stats.best !== null && (
               <Stat
                 label={t(lang, "best")}
-                value={`${bestPing}ms`}
+                value={`${stats.best}ms`}
                 accent="#fff"
               />
             )}
-            {worstPing !== null && (
+            {stats.worst !== null && (
               <Stat
                 label={t(lang, "worst")}
-                value={`${worstPing}ms`}
+                value={`${stats.worst}ms`}
                 accent="#555"
               />
             )}
+            {stats.jitter !== null && (
+              <Stat
+                label={t(lang, "jitter")}
+                value={`${stats.jitter}ms`}
+                accent="#a0a0a0"
+              />
+            )}
+            {stats.loss !== null && (
+              <Stat
+                label={t(lang, "loss")}
+                value={`${stats.loss}%`}
+                accent={stats.loss > 0 ? "#eb5757" : "#666"}
+              />
+            )}
+            {rollingAvg !== null && (
+              <Stat
+                label={t(lang, "rollingAvg")}
+                value={`${rollingAvg}ms`}
+                accent="#f0c53a"
+              />
+            )}
           </div>
         )}
       </div>
 
       <div style={styles.panelBody}>
-        {data.done && displayServers.length === 0 ? (
+        {view === "columns" ? (
+          <ServerColumnsTable servers={data.servers || []} />
+        ) : data.cancelled ? (
+          <p style={styles.emptyText}>{t(lang, "scanStopped")}</p>
+        ) : data.done && displayServers.length === 0 ? (
           <p style={styles.emptyText}>{t(lang, "allGroupsDown")}</p>
+        ) : view === "sites" ? (
+          <SiteList
+            sites={groupServersBySite(displayServers, geoInfo)}
+            lang={lang}
+            geoInfo={geoInfo}
+            samples={samples}
+            addedIps={addedIps}
+            changedIps={changedIps}
+            scanning={scanning}
+            onRetest={onRetest}
+          />
         ) : (
           <div style={styles.serverList}>
             {displayServers.map((server, i) => (
@@ -759,15 +2405,236 @@ function RegionPanel({ region, data, lang, scanning, geoInfo }) {
                 server={server}
                 lang={lang}
                 geo={geoInfo?.[server.ip]}
+                samples={samples?.[server.ip]}
+                isNew={addedIps.has(server.ip)}
+                isChanged={changedIps.has(server.ip)}
+                scanning={scanning}
+                onRetest={onRetest}
               />
             ))}
           </div>
         )}
+        {removedServers.length > 0 && (
+          <div style={styles.removedList}>
+            <p style={styles.removedTitle}>
+              {t(lang, "removedServers")} (
+              {new Date(changes.detectedAt).toLocaleString(lang)})
+            </p>
+            {removedServers.map((server) => (
+              <div key={server.ip} style={styles.removedRow}>
+                <span style={styles.serverIp}>{server.ip}</span>
+                {server.group && (
+                  <span style={styles.geoOrg}>
+                    {getGroupLabel(lang, region, server.group)}
+                  </span>
+                )}
+                {server.movedToPort !== undefined && (
+                  <span style={styles.geoOrg}>
+                    {tf(lang, "movedPort", {
+                      from: server.port,
+                      to: server.movedToPort,
+                    })}
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
 }
 
+const PANEL_VIEWS = [
+  { id: "list", labelKey: "viewList" },
+  { id: "sites", labelKey: "viewSites" },
+  { id: "columns", labelKey: "viewColumns" },
+];
+
+// ─── Datacenter grouping ────────────────────────────────────────────
+// Servers are bucketed by /24 first; a subnet takes the geo org and city
+// of whichever member has geo data (only responders are looked up), then
+// subnets at the same org + city are merged into one site.
+function getSubnet24(ip) {
+  return `${ip.split(".").slice(0, 3).join(".")}.0/24`;
+}
+
+function groupServersBySite(servers, geoInfo) {
+  const subnets = new Map(); // subnet -> { servers, geo }
+  for (const server of servers) {
+    const subnet = getSubnet24(server.ip);
+    if (!subnets.has(subnet)) subnets.set(subnet, { servers: [], geo: null });
+    const entry = subnets.get(subnet);
+    entry.servers.push(server);
+    const geo = geoInfo?.[server.ip];
+    if (!entry.geo && geo && (geo.org || geo.city)) entry.geo = geo;
+  }
+
+  const sites = new Map();
+  for (const [subnet, { servers: members, geo }] of subnets) {
+    const key = geo ? `${geo.org}|${geo.city}` : subnet;
+    if (!sites.has(key)) {
+      sites.set(key, { key, geo, subnets: [], servers: [] });
+    }
+    const site = sites.get(key);
+    site.subnets.push(subnet);
+    site.servers.push(...members);
+  }
+
+  return [...sites.values()]
+    .map((site) => {
+      const pings = site.servers
+        .map((s) => s.ping)
+        .filter((p) => p !== null)
+        .sort((a, b) => a - b);
+      return {
+        ...site,
+        best: pings.length ? pings[0] : null,
+        median: pings.length ? Math.round(median(pings)) : null,
+        responded: pings.length,
+      };
+    })
+    .sort((a, b) => {
+      if (a.best === null && b.best === null) return 0;
+      if (a.best === null) return 1;
+      if (b.best === null) return -1;
+      return a.best - b.best;
+    });
+}
+
+function SiteList({
+  sites,
+  lang,
+  geoInfo,
+  samples,
+  addedIps,
+  changedIps,
+  scanning,
+  onRetest,
+}) {
+  const [expanded, setExpanded] = useState(() => new Set());
+  const toggle = (key) =>
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+
+  return (
+    <div style={styles.serverList}>
+      {sites.map((site) => {
+        const open = expanded.has(site.key);
+        const place = [site.geo?.org, site.geo?.city]
+          .filter(Boolean)
+          .join(" · ");
+        return (
+          <div key={site.key} style={styles.siteGroup}>
+            <button
+              className="server-row"
+              style={styles.siteRow}
+              aria-expanded={open}
+              onClick={() => toggle(site.key)}
+            >
+              <span className="server-info" style={styles.serverInfo}>
+                <span style={styles.siteCaret}>{open ? "▾" : "▸"}</span>
+                {site.geo?.flag && (
+                  <span style={styles.geoFlag}>{site.geo.flag}</span>
+                )}
+                <span style={styles.siteLabel}>{place || site.subnets[0]}</span>
+                <span style={styles.geoOrg} title={site.subnets.join(", ")}>
+                  {place
+                    ? site.subnets.length === 1
+                      ? site.subnets[0]
+                      : `${site.subnets.length} ${t(lang, "subnets")}`
+                    : ""}
+                </span>
+              </span>
+              <span style={styles.siteStats}>
+                <span style={styles.pingMeta}>
+                  {t(lang, "responded")} {site.responded}/{site.servers.length}
+                  {site.median !== null &&
+                    ` · ${t(lang, "median")} ${site.median}ms`}
+                </span>
+                <span
+                  style={{
+                    ...styles.pingValue,
+                    color:
+                      site.best !== null ? getPingColor(site.best) : "#555",
+                  }}
+                >
+                  {site.best !== null ? `${site.best}ms` : t(lang, "down")}
+                </span>
+              </span>
+            </button>
+            {open && (
+              <div style={styles.siteMembers}>
+                {site.servers.map((server, i) => (
+                  <ServerRow
+                    key={`${server.ip}-${i}`}
+                    server={server}
+                    lang={lang}
+                    geo={geoInfo?.[server.ip]}
+                    samples={samples?.[server.ip]}
+                    isNew={addedIps.has(server.ip)}
+                    isChanged={changedIps.has(server.ip)}
+                    scanning={scanning}
+                    onRetest={onRetest}
+                  />
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// Advanced view: every server-list column in list order, for working out
+// what TYPE / VAL / NUM mean. Timed-out and skipped servers are included.
+const SERVER_COLUMNS = [
+  { key: "serverId", label: "ID" },
+  { key: "type", label: "TYPE" },
+  { key: "ip", label: "IP" },
+  { key: "port", label: "PORT" },
+  { key: "val1", label: "VAL1" },
+  { key: "val2", label: "VAL2" },
+  { key: "num1", label: "NUM1" },
+  { key: "num2", label: "NUM2" },
+  { key: "group", label: "GROUP" },
+  { key: "ping", label: "PING" },
+];
+
+function ServerColumnsTable({ servers }) {
+  return (
+    <div style={styles.columnsWrap}>
+      <table style={styles.columnsTable}>
+        <thead>
+          <tr>
+            {SERVER_COLUMNS.map((col) => (
+              <th key={col.key} style={styles.columnsTh}>
+                {col.label}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {servers.map((server, i) => (
+            <tr key={`${server.ip}-${i}`}>
+              {SERVER_COLUMNS.map((col) => (
+                <td key={col.key} style={styles.columnsTd}>
+                  {server[col.key] ?? "—"}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
 function Stat({ label, value, accent }) {
   return (
     <div style={styles.stat}>
@@ -777,8 +2644,17 @@ function Stat({ label, value, accent }) {
   );
 }
 
-function ServerRow({ server, lang, geo }) {
-  const { ip, ping, status } = server;
+function ServerRow({
+  server,
+  lang,
+  geo,
+  samples,
+  isNew,
+  isChanged,
+  scanning,
+  onRetest,
+}) {
+  const { ip, ping, status, pingStats } = server;
 
   let pingDisplay;
   let pingStyle = styles.pingValue;
@@ -792,36 +2668,607 @@ function ServerRow({ server, lang, geo }) {
   } else if (status === "skipped") {
     pingDisplay = t(lang, "skipped");
     pingStyle = { ...styles.pingValue, color: "#444" };
+  } else if (status === "cancelled") {
+    pingDisplay = t(lang, "cancelled");
+    pingStyle = { ...styles.pingValue, color: "#444" };
+  } else if (status === "error") {
+    pingDisplay = t(lang, "probeError");
+    pingStyle = { ...styles.pingValue, color: "#444" };
   } else if (ping !== null) {
     pingDisplay = `${ping}ms`;
-    if (ping < 80) pingStyle = { ...styles.pingValue, color: "#29c46a" };
-    else if (ping < 160) pingStyle = { ...styles.pingValue, color: "#f0c53a" };
-    else pingStyle = { ...styles.pingValue, color: "#eb5757" };
+    pingStyle = { ...styles.pingValue, color: getPingColor(ping) };
   } else {
     pingDisplay = t(lang, "down");
     pingStyle = { ...styles.pingValue, color: "#555" };
   }
 
   // Show geo info only for servers that responded
-  const showGeo = ping !== null && geo && (geo.flag || geo.country || geo.org);
+  const showGeo =
+    ping !== null && geo && (geo.flag || geo.country || geo.org || geo.city);
+  // City is more useful than country when we have it; full place on hover
+  const place = showGeo
+    ? [geo.city, geo.region, geo.country]
+        .filter((part, i, parts) => part && parts.indexOf(part) === i)
+        .join(", ")
+    : "";
 
   return (
     <div className="server-row" style={styles.serverRow}>
       <div className="server-info" style={styles.serverInfo}>
         <span style={styles.serverIp}>{ip}</span>
+        {isNew && <span style={styles.newBadge}>{t(lang, "newServer")}</span>}
+        {isChanged && (
+          <span style={styles.changedBadge}>{t(lang, "changedServer")}</span>
+        )}
         {showGeo && (
           <span className="geo-info" style={styles.geoInfo}>
             {geo.flag && <span style={styles.geoFlag}>{geo.flag}</span>}
-            {geo.country && (
-              <span style={styles.geoCountry}>{geo.country}</span>
+            {place && (
+              <span style={styles.geoCountry} title={place}>
+                {geo.city || geo.country}
+              </span>
             )}
+            {geo.asn && <span style={styles.geoAsn}>{geo.asn}</span>}
             {geo.org && <span style={styles.geoOrg}>{geo.org}</span>}
           </span>
         )}
       </div>
       <div className="ping-section" style={styles.pingSection}>
+        {samples && samples.length > 0 && <Sparkline samples={samples} />}
+        {ping !== null && pingStats && (
+          <span style={styles.pingMeta}>
+            {t(lang, "min")} {pingStats.min}ms · {t(lang, "p95")}{" "}
+            {pingStats.p95}ms · ±{pingStats.jitter}ms
+            {pingStats.loss > 0 && (
+              <span style={styles.pingLoss}>
+                {" "}
+                · {t(lang, "loss")} {pingStats.loss}%
+              </span>
+            )}
+          </span>
+        )}
+        {ping !== null && pingStats?.confidence && (
+          <SourceBadge
+            confidence={pingStats.confidence}
+            sources={pingStats.sources}
+            lang={lang}
+          />
+        )}
         <span style={pingStyle}>{pingDisplay}</span>
+        {onRetest && status !== "waiting" && status !== "measuring" && (
+          <button
+            style={styles.retestBtn}
+            disabled={scanning}
+            title={t(lang, "retest")}
+            aria-label={`${t(lang, "retest")} ${ip}`}
+            onClick={() => onRetest(server)}
+          >
+            ↻
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const CONFIDENCE_KEYS = {
+  high: { badge: "sourceHigh", title: "confidenceHigh", color: "#29c46a" },
+  medium: {
+    badge: "sourceMedium",
+    title: "confidenceMedium",
+    color: "#f0c53a",
+  },
+  low: { badge: "sourceLow", title: "confidenceLow", color: "#888" },
+};
+
+// Which timing a number came from; the breakdown is in the tooltip.
+function SourceBadge({ confidence, sources, lang }) {
+  const keys = CONFIDENCE_KEYS[confidence];
+  return (
+    <span
+      style={{
+        ...styles.sourceBadge,
+        color: keys.color,
+        borderColor: keys.color,
+      }}
+      title={`${t(lang, keys.title)} (${formatSources(sources)})`}
+    >
+      {t(lang, keys.badge)}
+    </span>
+  );
+}
+
+// Latency color thresholds, shared by server rows and the map.
+function getPingColor(ping) {
+  if (ping < 80) return "#29c46a";
+  if (ping < 160) return "#f0c53a";
+  return "#eb5757";
+}
+
+// Rolling latency line for monitoring; timeouts are drawn as red ticks.
+const SPARK_WIDTH = 60;
+const SPARK_HEIGHT = 16;
+
+function Sparkline({ samples }) {
+  const values = samples.filter((v) => v !== null);
+  const max = Math.max(1, ...values);
+  const step = SPARK_WIDTH / Math.max(1, MONITOR_WINDOW - 1);
+  const x = (i) => i * step;
+  const y = (v) => SPARK_HEIGHT - 1 - (v / max) * (SPARK_HEIGHT - 2);
+
+  const points = samples
+    .map((v, i) => (v !== null ? `${x(i)},${y(v)}` : null))
+    .filter(Boolean)
+    .join(" ");
+
+  return (
+    <svg
+      width={SPARK_WIDTH}
+      height={SPARK_HEIGHT}
+      viewBox={`0 0 ${SPARK_WIDTH} ${SPARK_HEIGHT}`}
+      style={styles.sparkline}
+    >
+      <polyline points={points} fill="none" stroke="#888" strokeWidth={1} />
+      {samples.map((v, i) =>
+        v === null ? (
+          <line
+            key={i}
+            x1={x(i)}
+            x2={x(i)}
+            y1={SPARK_HEIGHT - 4}
+            y2={SPARK_HEIGHT}
+            stroke="#eb5757"
+            strokeWidth={1}
+          />
+        ) : null
+      )}
+    </svg>
+  );
+}
+
+// ─── Map View ───────────────────────────────────────────────────────
+// Offline map: bundled land outline, equirectangular projection. Servers
+// sharing a location (same city) are drawn as one dot with their best ping.
+const MAP_MAX_LAT = 90;
+const MAP_MIN_LAT = 90 - WORLD_VIEWBOX.height;
+
+function projectToMap(lat, lon) {
+  const clamped = Math.min(MAP_MAX_LAT, Math.max(MAP_MIN_LAT, lat));
+  return { x: lon + 180, y: MAP_MAX_LAT - clamped };
+}
+
+// Approximate location of the user, looked up once the map is first opened.
+function useUserLocation(enabled) {
+  const [location, setLocation] = useState(null);
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (!enabled || requestedRef.current) return;
+    requestedRef.current = true;
+    fetch("/api/geo")
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        const info = data?.info;
+        if (info && info.lat != null && info.lon != null) setLocation(info);
+      })
+      .catch(() => {
+        // No marker; the map still works.
+      });
+  }, [enabled]);
+
+  return location;
+}
+
+function getMapPoints(regions, regionData, geoInfo, lang) {
+  const byLocation = new Map();
+  for (const region of regions) {
+    for (const server of getDisplayServers(region, regionData[region.id])) {
+      const geo = geoInfo[server.ip];
+      if (server.ping === null || geo?.lat == null || geo?.lon == null) {
+        continue;
+      }
+      const key = `${geo.lat.toFixed(1)},${geo.lon.toFixed(1)}`;
+      let point = byLocation.get(key);
+      if (!point) {
+        point = {
+          key,
+          ...projectToMap(geo.lat, geo.lon),
+          place: geo.city || geo.country || "",
+          best: server.ping,
+          count: 0,
+          regionLabels: new Set(),
+        };
+        byLocation.set(key, point);
+      }
+      point.best = Math.min(point.best, server.ping);
+      point.count++;
+      point.regionLabels.add(getRegionLabel(lang, region));
+    }
+  }
+  // Slowest first so the best locations are drawn on top
+  return [...byLocation.values()].sort((a, b) => b.best - a.best);
+}
+
+function MapPanel({ regions, regionData, geoInfo, lang, userLocation }) {
+  const points = useMemo(
+    () => getMapPoints(regions, regionData, geoInfo, lang),
+    [regions, regionData, geoInfo, lang]
+  );
+  const user = userLocation
+    ? projectToMap(userLocation.lat, userLocation.lon)
+    : null;
+  const userTitle = userLocation
+    ? `${t(lang, "mapYou")}: ${userLocation.city || userLocation.country || ""}`
+    : "";
+
+  return (
+    <div style={styles.mapPanel}>
+      <div style={styles.panelHeader}>
+        <h2 style={styles.panelTitle}>{t(lang, "mapTitle")}</h2>
+      </div>
+      <svg
+        viewBox={`0 0 ${WORLD_VIEWBOX.width} ${WORLD_VIEWBOX.height}`}
+        style={styles.mapSvg}
+        role="img"
+        aria-label={t(lang, "mapTitle")}
+      >
+        <path
+          d={WORLD_LAND_PATH}
+          fill="#1c1c1c"
+          stroke="#2a2a2a"
+          strokeWidth={0.3}
+        />
+        {points.map((point) => (
+          <circle
+            key={point.key}
+            cx={point.x}
+            cy={point.y}
+            r={1.6 + Math.min(point.count, 10) * 0.2}
+            fill={getPingColor(point.best)}
+            fillOpacity={0.85}
+            stroke="#0a0a0a"
+            strokeWidth={0.3}
+          >
+            <title>
+              {[
+                `${point.place} · ${[...point.regionLabels].join(", ")}`,
+                `${point.count} ${t(lang, "servers")}`,
+                `${t(lang, "best")} ${point.best}ms`,
+              ].join(" · ")}
+            </title>
+          </circle>
+        ))}
+        {user && (
+          <g>
+            <circle
+              cx={user.x}
+              cy={user.y}
+              r={2.6}
+              fill="none"
+              stroke="#fff"
+              strokeWidth={0.5}
+            />
+            <circle cx={user.x} cy={user.y} r={0.8} fill="#fff" />
+            <title>{userTitle}</title>
+          </g>
+        )}
+      </svg>
+      {points.length === 0 && (
+        <p style={styles.mapEmpty}>{t(lang, "mapEmpty")}</p>
+      )}
+      <div style={styles.mapLegend}>
+        {[
+          ["< 80ms", getPingColor(0)],
+          ["< 160ms", getPingColor(80)],
+          ["≥ 160ms", getPingColor(160)],
+        ].map(([label, color]) => (
+          <span key={label} style={styles.mapLegendItem}>
+            <span style={{ ...styles.mapLegendDot, background: color }} />
+            {label}
+          </span>
+        ))}
+        {user && (
+          <span style={styles.mapLegendItem}>
+            <span style={styles.mapLegendYou} />
+            {t(lang, "mapYou")}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ─── Settings Panel Component ───────────────────────────────────────
+function SettingsPanel({
+  regions,
+  settings,
+  lang,
+  disabled,
+  onChange,
+  onReset,
+}) {
+  return (
+    <section style={styles.settingsSection}>
+      <div style={styles.historyHeader}>
+        <h2 style={styles.panelTitle}>{t(lang, "settingsTitle")}</h2>
+        <button style={styles.smallBtn} onClick={onReset} disabled={disabled}>
+          {t(lang, "resetDefaults")}
+        </button>
+      </div>
+      <div style={styles.settingsTableWrap}>
+        <table style={styles.settingsTable}>
+          <thead>
+            <tr>
+              <th style={styles.settingsTh} />
+              {regions.map((region) => (
+                <th key={region.id} style={styles.settingsTh}>
+                  {getRegionLabel(lang, region)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {SETTINGS_FIELDS.map((field) => (
+              <tr key={field.key}>
+                <td style={styles.settingsLabel}>{t(lang, field.labelKey)}</td>
+                {regions.map((region) => (
+                  <td key={region.id} style={styles.settingsCell}>
+                    <SettingsInput
+                      field={field}
+                      value={
+                        (settings[region.id] || getDefaultSettings())[field.key]
+                      }
+                      disabled={disabled}
+                      onCommit={(value) =>
+                        onChange(region.id, field.key, value)
+                      }
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+}
+
+// Keeps the typed text locally and only commits (and clamps) on blur or
+// Enter, so intermediate values like an empty field aren't clamped mid-edit.
+function SettingsInput({ field, value, disabled, onCommit }) {
+  const [draft, setDraft] = useState(String(value ?? ""));
+  useEffect(() => setDraft(String(value ?? "")), [value]);
+
+  const commit = () => {
+    const n = Number(draft);
+    if (draft.trim() === "" || !Number.isFinite(n)) {
+      setDraft(String(value ?? ""));
+      return;
+    }
+    const clamped = Math.min(field.max, Math.max(field.min, Math.round(n)));
+    setDraft(String(clamped));
+    onCommit(clamped);
+  };
+
+  return (
+    <input
+      type="number"
+      style={styles.settingsInput}
+      min={field.min}
+      max={field.max}
+      step={field.step}
+      disabled={disabled}
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") commit();
+      }}
+    />
+  );
+}
+
+// ─── History Panel Component ────────────────────────────────────────
+function HistoryPanel({ regions, history, lang, onRemove, onPrune, onClear }) {
+  const [pruneDays, setPruneDays] = useState(HISTORY_PRUNE_DAYS[1]);
+  const entries = [...history].sort((a, b) => a.timestamp - b.timestamp);
+
+  return (
+    <section style={styles.historySection}>
+      <div style={styles.historyHeader}>
+        <h2 style={styles.panelTitle}>
+          {t(lang, "historyTitle")}
+          <span style={styles.historyCount}>
+            {entries.length} {t(lang, "scans")}
+          </span>
+        </h2>
+        {entries.length > 0 && (
+          <div style={styles.historyActions}>
+            <span style={styles.historyLabel}>{t(lang, "pruneOlderThan")}</span>
+            <select
+              style={styles.historySelect}
+              value={pruneDays}
+              onChange={(e) => setPruneDays(Number(e.target.value))}
+            >
+              {HISTORY_PRUNE_DAYS.map((d) => (
+                <option key={d} value={d}>
+                  {d} {t(lang, "days")}
+                </option>
+              ))}
+            </select>
+            <button
+              style={styles.smallBtn}
+              onClick={() => onPrune(pruneDays * DAY_MS)}
+            >
+              {t(lang, "deleteEntry")}
+            </button>
+            <button style={styles.smallBtn} onClick={onClear}>
+              {t(lang, "clearHistory")}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {entries.length === 0 ? (
+        <p style={styles.emptyText}>{t(lang, "historyEmpty")}</p>
+      ) : (
+        <>
+          <div className="grid" style={styles.grid}>
+            {regions
+              .filter((r) => entries.some((e) => e.regions?.[r.id]))
+              .map((region) => (
+                <HistoryChart
+                  key={region.id}
+                  region={region}
+                  entries={entries}
+                  lang={lang}
+                />
+              ))}
+          </div>
+          <div style={styles.historyList}>
+            {[...entries].reverse().map((entry) => (
+              <HistoryEntryRow
+                regions={regions}
+                key={entry.id}
+                entry={entry}
+                lang={lang}
+                onRemove={onRemove}
+              />
+            ))}
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
+
+// Best / avg / worst latency per scan, plotted as three lines over time.
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 120;
+const CHART_PADDING = 8;
+const CHART_SERIES = [
+  { key: "worst", color: "#555" },
+  { key: "avg", color: "#a0a0a0" },
+  { key: "best", color: "#fff" },
+];
+
+function HistoryChart({ region, entries, lang }) {
+  const points = entries
+    .filter((e) => e.regions?.[region.id])
+    .map((e) => ({
+      timestamp: e.timestamp,
+      ...summarizeServers(
+        getDisplayServers(region, { ...e.regions[region.id], done: true })
+      ),
+    }))
+    .filter((p) => p.best !== null);
+
+  const maxPing = Math.max(1, ...points.map((p) => p.worst));
+  const minTime = points.length > 0 ? points[0].timestamp : 0;
+  const maxTime = points.length > 0 ? points[points.length - 1].timestamp : 0;
+  const span = Math.max(1, maxTime - minTime);
+  const x = (ts) =>
+    points.length === 1
+      ? CHART_WIDTH / 2
+      : CHART_PADDING +
+        ((ts - minTime) / span) * (CHART_WIDTH - CHART_PADDING * 2);
+  const y = (ping) =>
+    CHART_HEIGHT -
+    CHART_PADDING -
+    (ping / maxPing) * (CHART_HEIGHT - CHART_PADDING * 2);
+
+  const latest = points[points.length - 1];
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.panelHeader}>
+        <h2 style={styles.panelTitle}>{getRegionLabel(lang, region)}</h2>
+        {latest && (
+          <div className="stats-bar" style={styles.statsBar}>
+            <Stat
+              label={t(lang, "avg")}
+              value={`${latest.avg}ms`}
+              accent="#a0a0a0"
+            />
+            <Stat
+              label={t(lang, "best")}
+              value={`${latest.best}ms`}
+              accent="#fff"
+            />
+            <Stat
+              label={t(lang, "worst")}
+              value={`${latest.worst}ms`}
+              accent="#555"
+            />
+          </div>
+        )}
+      </div>
+      {points.length === 0 ? (
+        <p style={styles.emptyText}>—</p>
+      ) : (
+        <svg
+          viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+          style={styles.historyChart}
+        >
+          <text
+            x={CHART_PADDING}
+            y={CHART_PADDING + 4}
+            style={styles.chartAxisText}
+          >
+            {maxPing}ms
+          </text>
+          {CHART_SERIES.map(({ key, color }) => (
+            <g key={key}>
+              <polyline
+                fill="none"
+                stroke={color}
+                strokeWidth={1.5}
+                points={points
+                  .map((p) => `${x(p.timestamp)},${y(p[key])}`)
+                  .join(" ")}
+              />
+              {points.map((p) => (
+                <circle
+                  key={p.timestamp}
+                  cx={x(p.timestamp)}
+                  cy={y(p[key])}
+                  r={1.5}
+                  fill={color}
+                />
+              ))}
+            </g>
+          ))}
+        </svg>
+      )}
+    </div>
+  );
+}
+
+function HistoryEntryRow({ regions, entry, lang, onRemove }) {
+  return (
+    <div className="server-row" style={styles.serverRow}>
+      <div className="server-info" style={styles.serverInfo}>
+        <span style={styles.serverIp}>
+          {new Date(entry.timestamp).toLocaleString(lang)}
+        </span>
+        {regions
+          .filter((r) => entry.regions?.[r.id])
+          .map((region) => {
+            const data = { ...entry.regions[region.id], done: true };
+            const { avg } = summarizeServers(getDisplayServers(region, data));
+            return (
+              <span key={region.id} style={styles.geoCountry}>
+                {getRegionLabel(lang, region)}:{" "}
+                {avg !== null ? `${avg}ms` : "—"}
+                {data.activeGroup ? ` (${data.activeGroup})` : ""}
+              </span>
+            );
+          })}
       </div>
+      <button style={styles.smallBtn} onClick={() => onRemove(entry.id)}>
+        {t(lang, "deleteEntry")}
+      </button>
     </div>
   );
 }
@@ -851,55 +3298,214 @@ const styles = {
     margin: 0,
     letterSpacing: "-0.02em",
   },
-  subtitle: {
-    fontSize: 14,
-    color: "#666",
-    margin: "8px 0 20px 0",
-    fontWeight: 400,
+  subtitle: {
+    fontSize: 14,
+    color: "#666",
+    margin: "8px 0 20px 0",
+    fontWeight: 400,
+  },
+  headerActions: {
+    display: "flex",
+    gap: 12,
+    alignItems: "center",
+  },
+  btn: {
+    background: "#fff",
+    color: "#000",
+    border: "none",
+    padding: "10px 24px",
+    borderRadius: 6,
+    cursor: "pointer",
+    fontWeight: 600,
+    fontSize: 13,
+    fontFamily: "'Inter', sans-serif",
+    transition: "opacity 0.15s",
+  },
+  btnDisabled: {
+    background: "#1a1a1a",
+    color: "#444",
+    border: "1px solid #222",
+    padding: "10px 24px",
+    borderRadius: 6,
+    cursor: "not-allowed",
+    fontWeight: 600,
+    fontSize: 13,
+    fontFamily: "'Inter', sans-serif",
+  },
+  langBtn: {
+    background: "transparent",
+    color: "#666",
+    border: "1px solid #222",
+    padding: "10px 16px",
+    borderRadius: 6,
+    cursor: "pointer",
+    fontWeight: 500,
+    fontSize: 13,
+    fontFamily: "'Inter', sans-serif",
+  },
+  langBtnDisabled: {
+    background: "transparent",
+    color: "#333",
+    border: "1px solid #1a1a1a",
+    padding: "10px 16px",
+    borderRadius: 6,
+    cursor: "not-allowed",
+    fontWeight: 500,
+    fontSize: 13,
+    fontFamily: "'Inter', sans-serif",
+  },
+  monitorBtnActive: {
+    background: "transparent",
+    color: "#f0c53a",
+    border: "1px solid #f0c53a",
+    padding: "10px 16px",
+    borderRadius: 6,
+    cursor: "pointer",
+    fontWeight: 500,
+    fontSize: 13,
+    fontFamily: "'Inter', sans-serif",
+  },
+  regionPicker: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: 6,
+    marginTop: 16,
+  },
+  regionChip: {
+    background: "transparent",
+    color: "#555",
+    border: "1px solid #1a1a1a",
+    padding: "5px 10px",
+    borderRadius: 4,
+    cursor: "pointer",
+    fontSize: 11,
+    fontWeight: 500,
+    fontFamily: "'Inter', sans-serif",
+  },
+  regionChipOn: {
+    background: "#1a1a1a",
+    color: "#ccc",
+    border: "1px solid #333",
+    padding: "5px 10px",
+    borderRadius: 4,
+    cursor: "pointer",
+    fontSize: 11,
+    fontWeight: 500,
+    fontFamily: "'Inter', sans-serif",
+  },
+  grid: {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fit, minmax(300px, 1fr))",
+    gap: 20,
+  },
+  mainLayout: {
+    display: "flex",
+    flexWrap: "wrap",
+    alignItems: "flex-start",
+    gap: 20,
+  },
+  mainGrid: {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fit, minmax(300px, 1fr))",
+    gap: 20,
+    flex: "999 1 620px",
+    minWidth: 0,
+  },
+  // Recommendation
+  recommendCard: {
+    background: "#111",
+    border: "1px solid #1f2a22",
+    borderRadius: 10,
+    padding: "14px 16px",
+    marginBottom: 20,
+  },
+  recommendTitle: {
+    fontSize: 10,
+    fontWeight: 600,
+    color: "#29c46a",
+    textTransform: "uppercase",
+    letterSpacing: "0.08em",
+    margin: "0 0 6px 0",
   },
-  headerActions: {
+  recommendTop: {
     display: "flex",
+    alignItems: "baseline",
+    justifyContent: "space-between",
     gap: 12,
-    alignItems: "center",
   },
-  btn: {
-    background: "#fff",
-    color: "#000",
-    border: "none",
-    padding: "10px 24px",
-    borderRadius: 6,
-    cursor: "pointer",
+  recommendLabel: {
+    fontSize: 16,
     fontWeight: 600,
-    fontSize: 13,
-    fontFamily: "'Inter', sans-serif",
-    transition: "opacity 0.15s",
+    color: "#fff",
   },
-  btnDisabled: {
-    background: "#1a1a1a",
+  recommendText: {
+    fontSize: 12,
+    color: "#888",
+    lineHeight: 1.6,
+    margin: "6px 0 0 0",
+  },
+  recommendList: {
+    margin: "10px 0 0 0",
+    padding: "8px 0 0 0",
+    listStyle: "none",
+    borderTop: "1px solid #1a1a1a",
+    fontSize: 12,
+    color: "#777",
+  },
+  recommendItem: {
+    display: "flex",
+    justifyContent: "space-between",
+    flexWrap: "wrap",
+    gap: 8,
+    padding: "2px 0",
+  },
+  // Map
+  mapPanel: {
+    background: "#111",
+    border: "1px solid #1a1a1a",
+    borderRadius: 10,
+    overflow: "hidden",
+    flex: "1 1 320px",
+    position: "sticky",
+    top: 16,
+  },
+  mapSvg: {
+    display: "block",
+    width: "100%",
+    height: "auto",
+    background: "#0d0d0d",
+  },
+  mapEmpty: {
     color: "#444",
-    border: "1px solid #222",
-    padding: "10px 24px",
-    borderRadius: 6,
-    cursor: "not-allowed",
-    fontWeight: 600,
-    fontSize: 13,
-    fontFamily: "'Inter', sans-serif",
+    fontSize: 12,
+    textAlign: "center",
+    padding: "12px 16px 0",
+    margin: 0,
   },
-  langBtn: {
-    background: "transparent",
+  mapLegend: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: 12,
+    padding: "10px 12px",
+    fontSize: 11,
     color: "#666",
-    border: "1px solid #222",
-    padding: "10px 16px",
-    borderRadius: 6,
-    cursor: "pointer",
-    fontWeight: 500,
-    fontSize: 13,
-    fontFamily: "'Inter', sans-serif",
   },
-  grid: {
-    display: "grid",
-    gridTemplateColumns: "repeat(auto-fit, minmax(0, 1fr))",
-    gap: 20,
+  mapLegendItem: {
+    display: "flex",
+    alignItems: "center",
+    gap: 5,
+  },
+  mapLegendDot: {
+    width: 8,
+    height: 8,
+    borderRadius: "50%",
+  },
+  mapLegendYou: {
+    width: 6,
+    height: 6,
+    borderRadius: "50%",
+    background: "#fff",
+    boxShadow: "0 0 0 2px #111, 0 0 0 3px #fff",
   },
   // Panel
   panel: {
@@ -917,6 +3523,7 @@ const styles = {
     alignItems: "center",
     justifyContent: "space-between",
     gap: 12,
+    flexWrap: "wrap",
   },
   panelTitle: {
     fontSize: 15,
@@ -934,6 +3541,11 @@ const styles = {
   groupBadgeRow: {
     marginTop: 8,
   },
+  staleNotice: {
+    fontSize: 11,
+    color: "#f0c53a",
+    margin: "8px 0 0 0",
+  },
   groupBadge: {
     fontSize: 11,
     fontWeight: 500,
@@ -985,6 +3597,33 @@ const styles = {
     padding: "32px 20px",
     margin: 0,
   },
+  // Advanced column view
+  columnsWrap: {
+    overflowX: "auto",
+  },
+  columnsTable: {
+    borderCollapse: "collapse",
+    width: "100%",
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: 11,
+  },
+  columnsTh: {
+    position: "sticky",
+    top: 0,
+    background: "#111",
+    textAlign: "left",
+    fontSize: 10,
+    fontWeight: 500,
+    color: "#555",
+    padding: "6px 8px",
+    borderBottom: "1px solid #1a1a1a",
+  },
+  columnsTd: {
+    color: "#888",
+    padding: "4px 8px",
+    borderBottom: "1px solid #151515",
+    whiteSpace: "nowrap",
+  },
   // Server list
   serverList: {
     display: "flex",
@@ -1013,6 +3652,87 @@ const styles = {
     fontWeight: 400,
     flexShrink: 0,
   },
+  newBadge: {
+    fontSize: 9,
+    fontWeight: 600,
+    color: "#0a0a0a",
+    background: "#29c46a",
+    padding: "1px 5px",
+    borderRadius: 3,
+    letterSpacing: "0.05em",
+    flexShrink: 0,
+  },
+  changedBadge: {
+    fontSize: 9,
+    fontWeight: 600,
+    color: "#0a0a0a",
+    background: "#f0c53a",
+    padding: "1px 5px",
+    borderRadius: 3,
+    letterSpacing: "0.05em",
+    flexShrink: 0,
+  },
+  // Datacenter view
+  siteGroup: {
+    borderBottom: "1px solid #151515",
+  },
+  siteRow: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: 16,
+    width: "100%",
+    padding: "8px 12px",
+    background: "transparent",
+    border: "none",
+    color: "inherit",
+    font: "inherit",
+    textAlign: "left",
+    cursor: "pointer",
+  },
+  siteCaret: {
+    fontSize: 10,
+    color: "#555",
+    width: 10,
+    flexShrink: 0,
+  },
+  siteLabel: {
+    fontSize: 12,
+    color: "#aaa",
+    whiteSpace: "nowrap",
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+    minWidth: 0,
+  },
+  siteStats: {
+    display: "flex",
+    alignItems: "center",
+    flexShrink: 0,
+  },
+  siteMembers: {
+    background: "#0d0d0d",
+    borderTop: "1px solid #151515",
+  },
+  removedList: {
+    padding: "10px 12px",
+    borderTop: "1px solid #1a1a1a",
+  },
+  removedTitle: {
+    fontSize: 10,
+    fontWeight: 500,
+    color: "#555",
+    textTransform: "uppercase",
+    letterSpacing: "0.05em",
+    margin: "0 0 6px 0",
+  },
+  removedRow: {
+    display: "flex",
+    alignItems: "center",
+    gap: 8,
+    padding: "2px 0",
+    textDecoration: "line-through",
+    opacity: 0.6,
+  },
   geoInfo: {
     display: "flex",
     alignItems: "center",
@@ -1031,6 +3751,13 @@ const styles = {
     whiteSpace: "nowrap",
     flexShrink: 0,
   },
+  geoAsn: {
+    fontSize: 10,
+    color: "#666",
+    fontFamily: "monospace",
+    whiteSpace: "nowrap",
+    flexShrink: 0,
+  },
   geoOrg: {
     fontSize: 10,
     color: "#555",
@@ -1047,6 +3774,31 @@ const styles = {
     flexShrink: 0,
     minWidth: 100,
   },
+  sparkline: {
+    flexShrink: 0,
+    marginRight: 8,
+  },
+  pingMeta: {
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: 10,
+    color: "#555",
+    whiteSpace: "nowrap",
+    marginRight: 8,
+  },
+  pingLoss: {
+    color: "#eb5757",
+  },
+  sourceBadge: {
+    fontFamily: "'JetBrains Mono', monospace",
+    fontSize: 9,
+    fontWeight: 600,
+    border: "1px solid",
+    borderRadius: 3,
+    padding: "0 4px",
+    marginRight: 6,
+    opacity: 0.75,
+    whiteSpace: "nowrap",
+  },
   pingValue: {
     fontFamily: "'JetBrains Mono', monospace",
     fontSize: 12,
@@ -1054,6 +3806,163 @@ const styles = {
     minWidth: 68,
     textAlign: "right",
   },
+  // Settings
+  settingsSection: {
+    marginBottom: 32,
+    paddingBottom: 20,
+    borderBottom: "1px solid #1a1a1a",
+  },
+  settingsTableWrap: {
+    overflowX: "auto",
+  },
+  settingsTable: {
+    borderCollapse: "collapse",
+    width: "100%",
+    fontSize: 12,
+  },
+  settingsTh: {
+    textAlign: "left",
+    fontSize: 10,
+    fontWeight: 500,
+    color: "#555",
+    textTransform: "uppercase",
+    letterSpacing: "0.05em",
+    padding: "6px 8px",
+    borderBottom: "1px solid #1a1a1a",
+  },
+  settingsLabel: {
+    color: "#888",
+    padding: "6px 8px",
+    whiteSpace: "nowrap",
+  },
+  settingsCell: {
+    padding: "6px 8px",
+  },
+  settingsInput: {
+    width: 80,
+    background: "#111",
+    color: "#ccc",
+    border: "1px solid #222",
+    borderRadius: 4,
+    padding: "4px 6px",
+    fontSize: 12,
+    fontFamily: "'JetBrains Mono', monospace",
+  },
+  // History
+  historySection: {
+    marginTop: 32,
+    borderTop: "1px solid #1a1a1a",
+    paddingTop: 20,
+  },
+  historyHeader: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    flexWrap: "wrap",
+    gap: 12,
+    marginBottom: 16,
+  },
+  historyCount: {
+    fontSize: 11,
+    fontWeight: 500,
+    color: "#555",
+    marginLeft: 10,
+    fontFamily: "'JetBrains Mono', monospace",
+  },
+  historyActions: {
+    display: "flex",
+    alignItems: "center",
+    gap: 8,
+  },
+  historyLabel: {
+    fontSize: 11,
+    color: "#555",
+  },
+  historySelect: {
+    background: "#111",
+    color: "#888",
+    border: "1px solid #222",
+    borderRadius: 4,
+    padding: "4px 6px",
+    fontSize: 11,
+    fontFamily: "'Inter', sans-serif",
+  },
+  smallBtn: {
+    background: "transparent",
+    color: "#666",
+    border: "1px solid #222",
+    padding: "4px 10px",
+    borderRadius: 4,
+    cursor: "pointer",
+    fontWeight: 500,
+    fontSize: 11,
+    fontFamily: "'Inter', sans-serif",
+    flexShrink: 0,
+  },
+  smallBtnDisabled: {
+    background: "transparent",
+    color: "#333",
+    border: "1px solid #1a1a1a",
+    padding: "4px 10px",
+    borderRadius: 4,
+    cursor: "not-allowed",
+    fontWeight: 500,
+    fontSize: 11,
+    fontFamily: "'Inter', sans-serif",
+    flexShrink: 0,
+  },
+  retestBtn: {
+    background: "transparent",
+    color: "#555",
+    border: "none",
+    padding: "0 0 0 8px",
+    cursor: "pointer",
+    fontSize: 13,
+    lineHeight: 1,
+  },
+  smallBtnActive: {
+    background: "#1a1a1a",
+    color: "#ccc",
+    border: "1px solid #333",
+    padding: "4px 10px",
+    borderRadius: 4,
+    cursor: "pointer",
+    fontWeight: 500,
+    fontSize: 11,
+    fontFamily: "'Inter', sans-serif",
+    flexShrink: 0,
+  },
+  viewToggle: {
+    display: "flex",
+    gap: 4,
+    flexShrink: 0,
+  },
+  exportGroup: {
+    display: "flex",
+    alignItems: "center",
+    gap: 6,
+  },
+  historyChart: {
+    display: "block",
+    width: "100%",
+    height: "auto",
+    padding: "8px 0",
+  },
+  chartAxisText: {
+    fontSize: 8,
+    fill: "#444",
+    fontFamily: "'JetBrains Mono', monospace",
+  },
+  historyList: {
+    display: "flex",
+    flexDirection: "column",
+    marginTop: 20,
+    maxHeight: 320,
+    overflowY: "auto",
+    background: "#111",
+    border: "1px solid #1a1a1a",
+    borderRadius: 10,
+  },
   // Note
   note: {
     color: "#444",
@@ -0,0 +1,9 @@
+// Runs once when the server starts.
+
+export async function register() {
+  // apiGuard uses node:net; skip the edge runtime.
+  if (process.env.NEXT_RUNTIME === "nodejs") {
+    const { warnIfClientChosenKeys } = await import("./lib/apiGuard");
+    warnIfClientChosenKeys(["geo", "servers", "probe"]);
+  }
+}
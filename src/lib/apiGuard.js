@@ -0,0 +1,209 @@
+// Abuse protection for API routes that cost upstream calls (/api/geo,
+// /api/servers): per-client rate limiting and an origin allowlist with the
+// matching CORS headers.
+//
+// Environment:
+// - RATE_LIMIT_<ROUTE>_PER_MIN  requests per client per minute, e.g.
+//   RATE_LIMIT_GEO_PER_MIN=30. A client may burst up to one minute's worth.
+//   0 disables limiting for that route.
+// - ALLOWED_ORIGINS  comma-separated origins allowed to call the API from
+//   other sites, e.g. "https://a.example,https://b.example", or "*" for any.
+//   Unset: same-origin only. Requests without an Origin header (curl,
+//   scripts) are not affected, only rate-limited.
+// - TRUSTED_PROXY_HOPS  reverse proxies in front of the app that append to
+//   X-Forwarded-For, default 0.
+//
+// Clients are keyed by their address read from the right-hand end of
+// X-Forwarded-For: the TRUSTED_PROXY_HOPS-th entry from the right (the last
+// one with no proxy). Entries further left are whatever the client sent.
+// `next start` fills the header with the peer address only when the request
+// has none, so without a proxy in front a client can still pick its own
+// key; run behind one and set TRUSTED_PROXY_HOPS for limits that hold.
+// Startup logs a warning when limits are on and TRUSTED_PROXY_HOPS is 0.
+// IPv6 clients are keyed by /64. Requests with no usable address share one
+// "unidentified" bucket; the first one logs a warning and their rejections
+// are counted separately in the metrics.
+
+import { isIP } from "node:net";
+import { envInt } from "./env.js";
+import { counter } from "./metrics.js";
+import { createRateLimiter } from "./rateLimit.js";
+
+const rejectedCount = counter(
+  "idv_api_requests_rejected_total",
+  "API requests rejected by route and reason (rate_limited, rate_limited_unidentified, origin)."
+);
+
+function allowedOrigins() {
+  return (process.env.ALLOWED_ORIGINS || "")
+    .split(",")
+    .map((o) => o.trim().replace(/\/$/, ""))
+    .filter(Boolean);
+}
+
+// "1.2.3.4", "1.2.3.4:80", "[2001:db8::1]:80", "::ffff:1.2.3.4" -> the
+// bare address, or null if it isn't one.
+function normalizeIp(value) {
+  let ip = value.trim();
+  const bracketed = ip.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) ip = bracketed[1];
+  else if (/^\d{1,3}(\.\d{1,3}){3}:\d+$/.test(ip)) ip = ip.split(":")[0];
+  ip = ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, "");
+  return isIP(ip) ? ip.toLowerCase() : null;
+}
+
+// The entry added for the client by the outermost trusted proxy, or by
+// `next start` itself when there is none.
+export function getClientIp(request) {
+  const forwarded = request.headers.get("x-forwarded-for");
+  if (!forwarded) return null;
+  const entries = forwarded.split(",");
+  const hops = envInt("TRUSTED_PROXY_HOPS", 0, 0);
+  // Fewer entries than proxies: all of them came from trusted proxies.
+  return normalizeIp(entries[Math.max(0, entries.length - Math.max(hops, 1))]);
+}
+
+function expandIpv6(ip) {
+  const [head, tail = ""] = ip.split("::");
+  const left = head ? head.split(":") : [];
+  const right = ip.includes("::") && tail ? tail.split(":") : [];
+  const fill = Array(8 - left.length - right.length).fill("0");
+  return [...left, ...(ip.includes("::") ? fill : []), ...right];
+}
+
+// One IPv6 subscriber usually holds a whole /64.
+function rateLimitKey(ip) {
+  if (isIP(ip) !== 6) return ip;
+  return `${expandIpv6(ip)
+    .slice(0, 4)
+    .map((g) => g.replace(/^0+(?=.)/, ""))
+    .join(":")}::/64`;
+}
+
+let warnedUnidentified = false;
+
+function perMinuteFor(route, defaultPerMinute) {
+  return envInt(
+    `RATE_LIMIT_${route.toUpperCase()}_PER_MIN`,
+    defaultPerMinute,
+    0
+  );
+}
+
+// Called once at startup (src/instrumentation.js) with the guarded routes.
+// Every route has a non-zero default, so a limit is on unless set to 0.
+export function warnIfClientChosenKeys(routes) {
+  const limited = routes.filter((route) => perMinuteFor(route, 1) > 0);
+  if (limited.length === 0 || envInt("TRUSTED_PROXY_HOPS", 0, 0) > 0) return;
+  console.warn(
+    `rate limit: TRUSTED_PROXY_HOPS=0, so clients choose their own key via ` +
+      `X-Forwarded-For and the limits on ${limited.join(", ")} can be ` +
+      "bypassed; run behind a reverse proxy and set TRUSTED_PROXY_HOPS"
+  );
+}
+
+function isSameOrigin(request, origin) {
+  const host =
+    request.headers.get("x-forwarded-host") || request.headers.get("host");
+  try {
+    return new URL(origin).host === host;
+  } catch {
+    return false;
+  }
+}
+
+// The Access-Control-Allow-Origin value for this request: null when there
+// is nothing to add (no Origin, or same-origin), false when not allowed.
+function corsOrigin(request) {
+  const origin = request.headers.get("origin");
+  if (!origin || isSameOrigin(request, origin)) return null;
+  const allowed = allowedOrigins();
+  if (allowed.includes("*")) return "*";
+  return allowed.includes(origin) ? origin : false;
+}
+
+function withCors(response, origin) {
+  if (origin) {
+    response.headers.set("Access-Control-Allow-Origin", origin);
+    if (origin !== "*") response.headers.append("Vary", "Origin");
+  }
+  return response;
+}
+
+// `route` names the route in env vars and metrics ("geo" ->
+// RATE_LIMIT_GEO_PER_MIN).
+export function createApiGuard(route, defaultPerMinute) {
+  const perMinute = perMinuteFor(route, defaultPerMinute);
+  const limiter =
+    perMinute > 0
+      ? createRateLimiter({ capacity: perMinute, refillPerMinute: perMinute })
+      : null;
+
+  function reject(reason, status, body, headers = {}) {
+    rejectedCount.inc({ route, reason });
+    return Response.json(body, { status, headers });
+  }
+
+  return {
+    // Wraps a route handler: rejects disallowed origins (403) and clients
+    // over their rate (429 + Retry-After), adds CORS headers otherwise.
+    wrap(handler) {
+      return async (request, context) => {
+        const origin = corsOrigin(request);
+        if (origin === false) {
+          return reject("origin", 403, { error: "origin not allowed" });
+        }
+
+        if (limiter) {
+          const ip = getClientIp(request);
+          if (!ip && !warnedUnidentified) {
+            warnedUnidentified = true;
+            console.warn(
+              "rate limit: request without a usable client address; such " +
+                "requests share one bucket (see TRUSTED_PROXY_HOPS)"
+            );
+          }
+          const { allowed, retryAfterMs } = limiter.take(
+            ip ? rateLimitKey(ip) : "unidentified"
+          );
+          if (!allowed) {
+            const retryAfter = Math.ceil(retryAfterMs / 1000);
+            return withCors(
+              reject(
+                ip ? "rate_limited" : "rate_limited_unidentified",
+                429,
+                { error: "rate limited", retryAfter },
+                { "Retry-After": String(retryAfter) }
+              ),
+              origin
+            );
+          }
+        }
+
+        return withCors(await handler(request, context), origin);
+      };
+    },
+
+    // CORS preflight for non-simple requests (e.g. JSON POST); costs no
+    // tokens.
+    preflight(methods) {
+      return async (request) => {
+        const origin = corsOrigin(request);
+        if (origin === false) {
+          return reject("origin", 403, { error: "origin not allowed" });
+        }
+        return withCors(
+          new Response(null, {
+            status: 204,
+            headers: {
+              "Access-Control-Allow-Methods": methods,
+              "Access-Control-Allow-Headers": "Content-Type",
+              "Access-Control-Max-Age": "600",
+            },
+          }),
+          origin
+        );
+      };
+    },
+  };
+}
@@ -0,0 +1,8 @@
+// CSV field quoting shared by the page's export and the CLI scanner.
+
+// Quotes a field when it holds a comma, quote or line break; null and
+// undefined become empty fields.
+export function csvEscape(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
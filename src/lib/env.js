@@ -0,0 +1,11 @@
+// Numeric settings from environment variables, shared by the lib modules.
+
+// Integer env var of at least `min`; anything else (unset, empty, not a
+// number, too small) falls back to `fallback`.
+export function envInt(name, fallback, min = 1) {
+  const raw = process.env[name];
+  const n = Number(raw);
+  return raw !== undefined && raw !== "" && Number.isInteger(n) && n >= min
+    ? n
+    : fallback;
+}
@@ -0,0 +1,145 @@
+// Bounded geo cache for /api/geo: LRU eviction, per-entry TTL and optional
+// persistence to a JSON file so restarts don't re-query every provider.
+//
+// Entries past `ttlMs` are still served but reported as stale so the caller
+// can refresh them in the background. Past `maxStaleMs` they are dropped.
+//
+// Environment (read by getSharedGeoCache):
+// - GEO_CACHE_MAX_ENTRIES  default 5000
+// - GEO_CACHE_TTL_MS       default 7 days
+// - GEO_CACHE_MAX_STALE_MS default 30 days
+// - GEO_CACHE_FILE         JSON file path; unset = memory only
+//
+// getSharedGeoCache() is the process-wide instance used by /api/geo and
+// reported by /api/metrics.
+
+import fs from "node:fs";
+import path from "node:path";
+import { envInt } from "./env.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SAVE_DEBOUNCE_MS = 1000;
+
+export const DEFAULT_GEO_CACHE_OPTIONS = {
+  maxEntries: 5000,
+  ttlMs: 7 * DAY_MS,
+  maxStaleMs: 30 * DAY_MS,
+  filePath: null,
+};
+
+export function geoCacheOptionsFromEnv() {
+  const d = DEFAULT_GEO_CACHE_OPTIONS;
+  return {
+    maxEntries: envInt("GEO_CACHE_MAX_ENTRIES", d.maxEntries),
+    ttlMs: envInt("GEO_CACHE_TTL_MS", d.ttlMs),
+    maxStaleMs: envInt("GEO_CACHE_MAX_STALE_MS", d.maxStaleMs),
+    filePath: process.env.GEO_CACHE_FILE
+      ? path.resolve(process.env.GEO_CACHE_FILE)
+      : null,
+  };
+}
+
+export function createGeoCache(options = {}) {
+  const { maxEntries, ttlMs, maxStaleMs, filePath } = {
+    ...DEFAULT_GEO_CACHE_OPTIONS,
+    ...options,
+  };
+  // Map iteration order doubles as recency order: oldest first.
+  const entries = new Map(); // ip -> { info, fetchedAt }
+  let loaded = false;
+  let saveTimer = null;
+  const stats = { hits: 0, staleHits: 0, misses: 0 };
+
+  function evictOverflow() {
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  function load() {
+    if (loaded) return;
+    loaded = true;
+    if (!filePath) return;
+    try {
+      const rows = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      const now = Date.now();
+      for (const [ip, entry] of rows) {
+        if (entry?.info && now - entry.fetchedAt <= maxStaleMs) {
+          entries.set(ip, entry);
+        }
+      }
+      evictOverflow();
+    } catch {
+      // Missing or corrupt file: start empty, it is rewritten on next save.
+    }
+  }
+
+  function scheduleSave() {
+    if (!filePath || saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      try {
+        // Write then rename so a crash mid-write never leaves a torn file.
+        const tmp = `${filePath}.tmp`;
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(tmp, JSON.stringify([...entries]));
+        fs.renameSync(tmp, filePath);
+      } catch {
+        // Persistence is best-effort; the in-memory cache keeps working.
+      }
+    }, SAVE_DEBOUNCE_MS);
+    saveTimer.unref?.();
+  }
+
+  return {
+    // Returns { info, stale } or null on miss.
+    get(ip) {
+      load();
+      const entry = entries.get(ip);
+      if (!entry) {
+        stats.misses++;
+        return null;
+      }
+      const age = Date.now() - entry.fetchedAt;
+      if (age > maxStaleMs) {
+        entries.delete(ip);
+        scheduleSave();
+        stats.misses++;
+        return null;
+      }
+      // Touch for LRU
+      entries.delete(ip);
+      entries.set(ip, entry);
+      if (age > ttlMs) stats.staleHits++;
+      else stats.hits++;
+      return { info: entry.info, stale: age > ttlMs };
+    },
+
+    set(ip, info) {
+      load();
+      entries.delete(ip);
+      entries.set(ip, { info, fetchedAt: Date.now() });
+      evictOverflow();
+      scheduleSave();
+    },
+
+    get size() {
+      load();
+      return entries.size;
+    },
+
+    // Lookup counts since start: fresh hits, stale hits, misses.
+    get stats() {
+      return { ...stats };
+    },
+  };
+}
+
+let sharedGeoCache = null;
+
+export function getSharedGeoCache() {
+  if (!sharedGeoCache) {
+    sharedGeoCache = createGeoCache(geoCacheOptionsFromEnv());
+  }
+  return sharedGeoCache;
+}
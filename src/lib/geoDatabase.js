@@ -0,0 +1,130 @@
+// Offline geo lookup from a local CSV of IPv4 CIDR ranges, no network calls.
+//
+// File format (header row optional, fields may be double-quoted):
+//   cidr,country_code,country,org[,asn,city,region,lat,lon]
+//   34.84.0.0/16,JP,Japan,"Google LLC",AS15169,Tokyo,Tokyo,35.69,139.69
+//   43.0.0.0/8,,,Example Org
+//
+// Overlapping ranges are allowed; the most specific (longest prefix) wins.
+
+import fs from "node:fs";
+import { EMPTY_INFO } from "./geoProviders.js";
+
+function parseCoord(text, limit) {
+  const n = Number(text);
+  return text !== "" && Number.isFinite(n) && Math.abs(n) <= limit ? n : null;
+}
+
+export function ipToInt(ip) {
+  const parts = ip.split(".").map(Number);
+  if (
+    parts.length !== 4 ||
+    parts.some((p) => !Number.isInteger(p) || p < 0 || p > 255)
+  ) {
+    return null;
+  }
+  return (
+    ((parts[0] << 24) | (parts[1] << 16) | (parts[2] << 8) | parts[3]) >>> 0
+  );
+}
+
+function maskFor(prefix) {
+  return prefix === 0 ? 0 : (0xffffffff << (32 - prefix)) >>> 0;
+}
+
+function parseCsvLine(line) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      fields.push(field);
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields.map((f) => f.trim());
+}
+
+// Returns { lookup(ip), size }. Malformed rows are skipped.
+export function parseGeoCsv(text) {
+  // prefix length -> Map(network int -> info)
+  const byPrefix = new Map();
+  let size = 0;
+
+  for (const rawLine of text.split("\n")) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) continue;
+    const [
+      cidr,
+      countryCode = "",
+      country = "",
+      org = "",
+      asn = "",
+      city = "",
+      region = "",
+      lat = "",
+      lon = "",
+    ] = parseCsvLine(line);
+    const [base, prefixText = "32"] = cidr.split("/");
+    const prefix = Number(prefixText);
+    const baseInt = ipToInt(base);
+    if (
+      baseInt === null ||
+      !Number.isInteger(prefix) ||
+      prefix < 0 ||
+      prefix > 32
+    ) {
+      continue; // header row or malformed
+    }
+
+    if (!byPrefix.has(prefix)) byPrefix.set(prefix, new Map());
+    const latitude = parseCoord(lat, 90);
+    const longitude = parseCoord(lon, 180);
+    const hasCoords = latitude !== null && longitude !== null;
+    byPrefix.get(prefix).set((baseInt & maskFor(prefix)) >>> 0, {
+      country_code: countryCode.toUpperCase(),
+      country,
+      org,
+      asn: asn ? `AS${asn.replace(/^AS/i, "")}` : "",
+      city,
+      region,
+      lat: hasCoords ? latitude : null,
+      lon: hasCoords ? longitude : null,
+    });
+    size++;
+  }
+
+  const prefixes = [...byPrefix.keys()].sort((a, b) => b - a);
+
+  return {
+    size,
+    lookup(ip) {
+      const n = ipToInt(ip);
+      if (n === null) return null;
+      for (const prefix of prefixes) {
+        const info = byPrefix.get(prefix).get((n & maskFor(prefix)) >>> 0);
+        if (info) return { ...EMPTY_INFO, ...info };
+      }
+      return null;
+    },
+  };
+}
+
+export function loadGeoDatabase(filePath) {
+  return parseGeoCsv(fs.readFileSync(filePath, "utf8"));
+}
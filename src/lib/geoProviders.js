@@ -0,0 +1,312 @@
+// Remote geo providers (ip-api.com batch + json, ipwho.is): normalization to
+// one info shape, field-by-field merging and health-aware routing. Shared by
+// /api/geo (which adds caching and the local database) and the CLI scanner.
+//
+// Info shape: { country_code, country, org, asn, city, region, lat, lon };
+// missing fields are "" (lat/lon: null).
+
+import { createProviderHealth, getRateLimitDelayMs } from "./providerHealth.js";
+
+// Fallback order when a provider's bucket is paused: batch is the cheapest.
+const PROVIDERS = ["batch", "ipwhois", "json"];
+// Per process; rate-limited or failing providers are paused and their share
+// of IPs is routed to the ones still healthy.
+export const providerHealth = createProviderHealth(PROVIDERS);
+
+export const EMPTY_INFO = {
+  country_code: "",
+  country: "",
+  org: "",
+  asn: "",
+  city: "",
+  region: "",
+  lat: null,
+  lon: null,
+};
+const IP_API_BATCH_URL = "http://ip-api.com/batch";
+const IP_API_JSON_BASE = "http://ip-api.com/json";
+const IPWHOIS_BASE_URL = "https://ipwho.is";
+const IP_API_FIELDS =
+  "status,country,countryCode,regionName,city,lat,lon,org,isp,as,asname,query";
+const JSON_LOOKUP_CONCURRENCY = 8;
+const IPWHOIS_LOOKUP_CONCURRENCY = 8;
+
+export function hasGeoInfo(info) {
+  return !!(info?.country_code || info?.country || info?.org || info?.city);
+}
+
+// "AS15169 Google LLC" / 15169 / "15169" -> "AS15169"
+function normalizeAsn(value) {
+  const match = String(value ?? "").match(/^(?:AS)?(\d+)/i);
+  return match ? `AS${match[1]}` : "";
+}
+
+// Both coordinates or neither; 0,0 is what providers send for "unknown".
+function normalizeCoords(lat, lon) {
+  const la = Number(lat);
+  const lo = Number(lon);
+  if (
+    lat == null ||
+    lon == null ||
+    !Number.isFinite(la) ||
+    !Number.isFinite(lo) ||
+    (la === 0 && lo === 0)
+  ) {
+    return { lat: null, lon: null };
+  }
+  return { lat: la, lon: lo };
+}
+
+function normalizeInfo(record) {
+  if (!record || record.status !== "success") return { ...EMPTY_INFO };
+  return {
+    country_code: (record.countryCode || "").toUpperCase(),
+    country: record.country || "",
+    org: record.org || record.asname || record.as || record.isp || "",
+    asn: normalizeAsn(record.as),
+    city: record.city || "",
+    region: record.regionName || "",
+    ...normalizeCoords(record.lat, record.lon),
+  };
+}
+
+function normalizeIpWhoisInfo(record) {
+  if (!record || record.success === false) return { ...EMPTY_INFO };
+  const connection = record.connection || {};
+  return {
+    country_code: (record.country_code || "").toUpperCase(),
+    country: record.country || "",
+    org:
+      connection.org ||
+      connection.isp ||
+      connection.asn ||
+      connection.domain ||
+      "",
+    asn: normalizeAsn(connection.asn),
+    city: record.city || "",
+    region: record.region || "",
+    ...normalizeCoords(record.latitude, record.longitude),
+  };
+}
+
+export function mergeInfo(primary, secondary) {
+  // Coordinates are taken as a pair so lat and lon never come from
+  // different providers.
+  const coords =
+    secondary.lat != null && secondary.lon != null ? secondary : primary;
+  return {
+    country_code: secondary.country_code || primary.country_code || "",
+    country: secondary.country || primary.country || "",
+    org: secondary.org || primary.org || "",
+    asn: secondary.asn || primary.asn || "",
+    city: secondary.city || primary.city || "",
+    region: secondary.region || primary.region || "",
+    lat: coords.lat ?? null,
+    lon: coords.lon ?? null,
+  };
+}
+
+function selectBucketProvider(ip) {
+  const last = Number(ip.split(".").at(-1));
+  if (!Number.isFinite(last)) return "batch";
+
+  // Load split by deterministic bucket:
+  // 50% batch, 16.7% ip-api/json, 33.3% ipwho.is
+  const bucket = last % 6;
+  if (bucket === 0 || bucket === 1) return "ipwhois";
+  if (bucket === 2) return "json";
+  return "batch";
+}
+
+// Bucket provider if it's healthy, otherwise the first healthy one.
+// null = every provider is paused.
+function selectPrimaryProvider(ip) {
+  const preferred = selectBucketProvider(ip);
+  if (providerHealth.isAvailable(preferred)) return preferred;
+  return PROVIDERS.find((p) => providerHealth.isAvailable(p)) ?? null;
+}
+
+// fetch() that reports to the provider's health tracker. Returns null when
+// the provider is paused, rate-limited or the request failed.
+async function providerFetch(provider, url, init) {
+  if (!providerHealth.isAvailable(provider)) return null;
+  const started = Date.now();
+  try {
+    const res = await fetch(url, init);
+    const latencyMs = Date.now() - started;
+    const backoffMs = getRateLimitDelayMs(res);
+    if (backoffMs !== null) providerHealth.recordRateLimit(provider, backoffMs);
+    if (res.status === 429) return null;
+    if (!res.ok) {
+      providerHealth.recordFailure(provider, latencyMs);
+      return null;
+    }
+    providerHealth.recordSuccess(provider, latencyMs);
+    return res;
+  } catch {
+    providerHealth.recordFailure(provider, Date.now() - started);
+    return null;
+  }
+}
+
+async function lookupBatch(ips) {
+  const out = {};
+  if (ips.length === 0) return out;
+
+  try {
+    const res = await providerFetch("batch", IP_API_BATCH_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(
+        ips.map((ip) => ({
+          query: ip,
+          fields: IP_API_FIELDS,
+        }))
+      ),
+    });
+    if (!res) return out;
+
+    const rows = await res.json();
+    for (const row of rows || []) {
+      if (!row?.query) continue;
+      out[row.query] = normalizeInfo(row);
+    }
+  } catch {
+    // Return partial/empty map; caller handles fallback.
+  }
+
+  return out;
+}
+
+async function lookupIpApiJsonOne(ip) {
+  try {
+    const res = await providerFetch(
+      "json",
+      `${IP_API_JSON_BASE}/${ip}?fields=${encodeURIComponent(IP_API_FIELDS)}`
+    );
+    if (!res) return { ...EMPTY_INFO };
+    const row = await res.json();
+    return normalizeInfo(row);
+  } catch {
+    return { ...EMPTY_INFO };
+  }
+}
+
+async function lookupIpApiJsonMany(ips) {
+  const out = {};
+  if (ips.length === 0) return out;
+
+  let index = 0;
+  const workers = Array.from(
+    { length: Math.min(JSON_LOOKUP_CONCURRENCY, ips.length) },
+    async () => {
+      while (index < ips.length) {
+        const ip = ips[index++];
+        out[ip] = await lookupIpApiJsonOne(ip);
+      }
+    }
+  );
+  await Promise.all(workers);
+  return out;
+}
+
+async function lookupIpWhoisOne(ip) {
+  try {
+    const res = await providerFetch("ipwhois", `${IPWHOIS_BASE_URL}/${ip}`);
+    if (!res) return { ...EMPTY_INFO };
+    const row = await res.json();
+    return normalizeIpWhoisInfo(row);
+  } catch {
+    return { ...EMPTY_INFO };
+  }
+}
+
+async function lookupIpWhoisMany(ips) {
+  const out = {};
+  if (ips.length === 0) return out;
+
+  let index = 0;
+  const workers = Array.from(
+    { length: Math.min(IPWHOIS_LOOKUP_CONCURRENCY, ips.length) },
+    async () => {
+      while (index < ips.length) {
+        const ip = ips[index++];
+        out[ip] = await lookupIpWhoisOne(ip);
+      }
+    }
+  );
+  await Promise.all(workers);
+  return out;
+}
+
+// ip-api without an address resolves the requester, i.e. this host.
+export function lookupOwnLocation() {
+  return lookupIpApiJsonOne("");
+}
+
+// Resolve IPs through the providers: each IP goes to one primary provider,
+// then IPs still missing country/org are retried on the others.
+// Always returns an entry per IP (EMPTY_INFO when nothing was found).
+export async function lookupProviders(ips) {
+  const results = {};
+  const batchIps = [];
+  const ipApiJsonIps = [];
+  const ipWhoisIps = [];
+  for (const ip of ips) {
+    const provider = selectPrimaryProvider(ip);
+    if (provider === "json") ipApiJsonIps.push(ip);
+    else if (provider === "ipwhois") ipWhoisIps.push(ip);
+    else if (provider === "batch") batchIps.push(ip);
+  }
+  const ipApiJsonSet = new Set(ipApiJsonIps);
+  const ipWhoisSet = new Set(ipWhoisIps);
+
+  // Distribute load across providers and run lookups in parallel.
+  const [batchMap, ipApiJsonMap, ipWhoisMap] = await Promise.all([
+    lookupBatch(batchIps),
+    lookupIpApiJsonMany(ipApiJsonIps),
+    lookupIpWhoisMany(ipWhoisIps),
+  ]);
+
+  for (const ip of ips) {
+    const fromBatch = batchMap[ip] || { ...EMPTY_INFO };
+    const fromIpApiJson = ipApiJsonMap[ip] || { ...EMPTY_INFO };
+    const fromIpWhois = ipWhoisMap[ip] || { ...EMPTY_INFO };
+    const mergedPrimary = mergeInfo(fromBatch, fromIpApiJson);
+    const info = mergeInfo(mergedPrimary, fromIpWhois);
+    results[ip] = info;
+  }
+
+  // Enrich missing fields by querying providers not used as primary for that IP.
+  const needsEnrichment = ips.filter(
+    (ip) => !results[ip] || !results[ip].country || !results[ip].org
+  );
+  if (needsEnrichment.length > 0) {
+    const enrichJsonIps = needsEnrichment.filter((ip) => !ipApiJsonSet.has(ip));
+    const enrichIpWhoisIps = needsEnrichment.filter(
+      (ip) => !ipWhoisSet.has(ip)
+    );
+    const [enrichJsonMap, enrichIpWhoisMap] = await Promise.all([
+      lookupIpApiJsonMany(enrichJsonIps),
+      lookupIpWhoisMany(enrichIpWhoisIps),
+    ]);
+
+    for (const ip of needsEnrichment) {
+      const base = results[ip] || { ...EMPTY_INFO };
+      const withJson = mergeInfo(base, enrichJsonMap[ip] || { ...EMPTY_INFO });
+      const merged = mergeInfo(
+        withJson,
+        enrichIpWhoisMap[ip] || { ...EMPTY_INFO }
+      );
+      results[ip] = merged;
+    }
+  }
+
+  for (const ip of ips) {
+    if (!results[ip]) {
+      results[ip] = { ...EMPTY_INFO };
+    }
+  }
+
+  return results;
+}
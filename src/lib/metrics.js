@@ -0,0 +1,128 @@
+// Minimal Prometheus registry behind /api/metrics (text exposition format).
+//
+// Counters and histograms are updated in place by the code they measure.
+// Collectors read state that already exists elsewhere (geo cache, provider
+// health) when the endpoint is scraped.
+//
+// Metrics are registered by name, so re-evaluating a module (dev reloads)
+// reuses the existing series instead of resetting or duplicating them.
+
+const registry = new Map(); // name -> { type, help, render() }
+
+export const DEFAULT_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return Number.isNaN(value) ? "NaN" : String(value);
+}
+
+// Series key independent of label order.
+function seriesKey(labels) {
+  return JSON.stringify(
+    Object.entries(labels).sort(([a], [b]) => (a < b ? -1 : 1))
+  );
+}
+
+function register(name, type, help, create) {
+  const existing = registry.get(name);
+  if (existing) {
+    if (existing.type !== type) {
+      throw new Error(`metric ${name} already registered as ${existing.type}`);
+    }
+    return existing;
+  }
+  const metric = { type, help, ...create() };
+  registry.set(name, metric);
+  return metric;
+}
+
+export function counter(name, help) {
+  return register(name, "counter", help, () => {
+    const series = new Map(); // key -> { labels, value }
+    return {
+      inc(labels = {}, amount = 1) {
+        const key = seriesKey(labels);
+        const entry = series.get(key);
+        if (entry) entry.value += amount;
+        else series.set(key, { labels, value: amount });
+      },
+      render() {
+        return [...series.values()].map(
+          ({ labels, value }) =>
+            `${name}${formatLabels(labels)} ${formatValue(value)}`
+        );
+      },
+    };
+  });
+}
+
+export function histogram(name, help, buckets = DEFAULT_DURATION_BUCKETS) {
+  return register(name, "histogram", help, () => {
+    const series = new Map(); // key -> { labels, counts, sum, count }
+    return {
+      observe(labels, value) {
+        const key = seriesKey(labels);
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+        buckets.forEach((le, i) => {
+          if (value <= le) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      },
+      render() {
+        return [...series.values()].flatMap(
+          ({ labels, counts, sum, count }) => [
+            ...buckets.map(
+              (le, i) =>
+                `${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`
+            ),
+            `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+            `${name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+            `${name}_count${formatLabels(labels)} ${count}`,
+          ]
+        );
+      },
+    };
+  });
+}
+
+// `read()` returns [{ labels, value }] at scrape time. Registering the same
+// name again replaces the reader, so it always points at the live state.
+export function collect(name, type, help, read) {
+  const metric = register(name, type, help, () => ({}));
+  metric.render = () =>
+    read().map(
+      ({ labels = {}, value }) =>
+        `${name}${formatLabels(labels)} ${formatValue(value)}`
+    );
+}
+
+export function renderMetrics() {
+  const lines = [];
+  for (const [name, metric] of registry) {
+    lines.push(
+      `# HELP ${name} ${metric.help}`,
+      `# TYPE ${name} ${metric.type}`
+    );
+    lines.push(...metric.render());
+  }
+  return `${lines.join("\n")}\n`;
+}
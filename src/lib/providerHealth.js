@@ -0,0 +1,110 @@
+// Per-provider health for the geo lookups: success/failure counts, latency,
+// rate-limit backoff and a simple circuit breaker.
+//
+// - A provider that fails `failureThreshold` times in a row is tripped
+//   (circuit open) for `cooldownMs`. After the cooldown requests go through
+//   again; the next failure re-trips it at once, a success closes it.
+// - Rate-limit signals (429, ip-api's X-Rl / X-Ttl headers) pause the
+//   provider until the advertised reset, without counting as failures.
+
+const DEFAULT_OPTIONS = {
+  failureThreshold: 5,
+  cooldownMs: 60 * 1000,
+  defaultRateLimitMs: 60 * 1000,
+  latencySmoothing: 0.2, // EMA weight of the newest sample
+};
+
+function createState() {
+  return {
+    successes: 0,
+    failures: 0,
+    rateLimited: 0,
+    consecutiveFailures: 0,
+    avgLatencyMs: null,
+    openUntil: 0,
+    rateLimitedUntil: 0,
+  };
+}
+
+export function createProviderHealth(names, options = {}) {
+  const { failureThreshold, cooldownMs, defaultRateLimitMs, latencySmoothing } =
+    { ...DEFAULT_OPTIONS, ...options };
+  const isOpen = (state, now) =>
+    now < state.openUntil || now < state.rateLimitedUntil;
+  const states = new Map(names.map((name) => [name, createState()]));
+
+  function stateOf(name) {
+    if (!states.has(name)) states.set(name, createState());
+    return states.get(name);
+  }
+
+  function recordLatency(state, latencyMs) {
+    if (!Number.isFinite(latencyMs)) return;
+    state.avgLatencyMs =
+      state.avgLatencyMs === null
+        ? latencyMs
+        : state.avgLatencyMs * (1 - latencySmoothing) +
+          latencyMs * latencySmoothing;
+  }
+
+  return {
+    isAvailable(name, now = Date.now()) {
+      return !isOpen(stateOf(name), now);
+    },
+
+    recordSuccess(name, latencyMs) {
+      const state = stateOf(name);
+      state.successes++;
+      state.consecutiveFailures = 0;
+      state.openUntil = 0;
+      recordLatency(state, latencyMs);
+    },
+
+    recordFailure(name, latencyMs) {
+      const state = stateOf(name);
+      state.failures++;
+      state.consecutiveFailures++;
+      recordLatency(state, latencyMs);
+      if (state.consecutiveFailures >= failureThreshold) {
+        state.openUntil = Date.now() + cooldownMs;
+      }
+    },
+
+    recordRateLimit(name, retryAfterMs = defaultRateLimitMs) {
+      const state = stateOf(name);
+      state.rateLimited++;
+      state.rateLimitedUntil = Math.max(
+        state.rateLimitedUntil,
+        Date.now() + retryAfterMs
+      );
+    },
+
+    snapshot(now = Date.now()) {
+      return Object.fromEntries(
+        [...states].map(([name, state]) => [
+          name,
+          { ...state, available: !isOpen(state, now) },
+        ])
+      );
+    },
+  };
+}
+
+// Reads rate-limit hints from a provider response. Returns the time to wait
+// in ms, or null if the provider isn't asking us to back off.
+// ip-api sends X-Rl (requests left in window) and X-Ttl (seconds to reset).
+export function getRateLimitDelayMs(res) {
+  const seconds = (value) => {
+    if (value === null || value === "") return null;
+    const n = Number(value);
+    return Number.isFinite(n) && n >= 0 ? n * 1000 : null;
+  };
+  const retryAfter =
+    seconds(res.headers.get("retry-after")) ??
+    seconds(res.headers.get("x-ttl"));
+
+  if (res.status === 429 || res.headers.get("x-rl") === "0") {
+    return retryAfter ?? DEFAULT_OPTIONS.defaultRateLimitMs;
+  }
+  return null;
+}
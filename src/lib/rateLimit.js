@@ -0,0 +1,56 @@
+// Token-bucket rate limiter keyed by client.
+//
+// Each client's bucket holds up to `capacity` tokens and refills at
+// `refillPerMinute`; a request takes one token. Buckets live in memory,
+// bounded to `maxClients` with least-recently-seen eviction (an evicted
+// client simply starts again with a full bucket).
+
+const DEFAULT_OPTIONS = {
+  capacity: 60,
+  refillPerMinute: 60,
+  maxClients: 10000,
+};
+
+export function createRateLimiter(options = {}) {
+  const { capacity, refillPerMinute, maxClients } = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+  };
+  const refillPerMs = refillPerMinute / 60000;
+  // Map iteration order doubles as recency order: oldest first.
+  const buckets = new Map(); // key -> { tokens, updatedAt }
+
+  return {
+    // Returns { allowed, retryAfterMs }; retryAfterMs is 0 when allowed.
+    take(key, now = Date.now()) {
+      let bucket = buckets.get(key);
+      if (bucket) {
+        buckets.delete(key);
+        bucket.tokens = Math.min(
+          capacity,
+          bucket.tokens + (now - bucket.updatedAt) * refillPerMs
+        );
+        bucket.updatedAt = now;
+      } else {
+        bucket = { tokens: capacity, updatedAt: now };
+      }
+      buckets.set(key, bucket);
+      while (buckets.size > maxClients) {
+        buckets.delete(buckets.keys().next().value);
+      }
+
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return { allowed: true, retryAfterMs: 0 };
+      }
+      return {
+        allowed: false,
+        retryAfterMs: Math.ceil((1 - bucket.tokens) / refillPerMs),
+      };
+    },
+
+    get size() {
+      return buckets.size;
+    },
+  };
+}
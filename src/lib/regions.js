@@ -0,0 +1,143 @@
+// Region definitions shared by the API routes and (via /api/regions) the UI.
+//
+// Defaults below can be replaced without code changes:
+// - IDV_REGIONS_FILE: path to a JSON file (relative to the working directory)
+// - IDV_REGIONS: the same JSON inline
+// The JSON is an array of regions:
+//   {
+//     "id": "asianormal",                 // [a-z0-9_-], used in ?region=
+//     "label": "asia" | "Asia" | { "en": "Asia", "ja": "アジア" },
+//     "url": "http://mirror.example/server_list_asianormal_game.txt",
+//     "port": 4000,                       // expected game port
+//     "groupLabels": { "A": "asiaSEA", "B": { "en": "...", "ja": "..." } },
+//     "hasGroups": true,                  // default: true if groupLabels set
+//     "defaultEnabled": true              // default: true
+//   }
+// String labels that match a UI translation key are translated; anything
+// else is shown as-is.
+
+import fs from "node:fs";
+import path from "node:path";
+
+const DEFAULT_REGIONS = [
+  {
+    id: "asianormal",
+    label: "asia",
+    url: "http://h55na.update.easebar.com/server_list_asianormal_game.txt",
+    port: 4000,
+    groupLabels: { A: "asiaSEA", B: "asiaEastJP" },
+  },
+  {
+    id: "cnnormal",
+    label: "china",
+    url: "https://h55.update.netease.com/server_list_normal_game.txt",
+    port: 10000,
+    groupLabels: { A: "chinaA", B: "chinaB" },
+  },
+  {
+    id: "usnormal",
+    label: "naeu",
+    url: "http://h55na.update.easebar.com/server_list_usnormal_game.txt",
+    port: 4000,
+    groupLabels: { A: "naeuNA", B: "naeuEU" },
+  },
+  // Test servers — off by default, can be enabled from the region picker
+  {
+    id: "asiatest",
+    label: "asiaTest",
+    url: "http://h55na.update.easebar.com/server_list_asiatest_game.txt",
+    port: 4000,
+    groupLabels: { A: "asiaSEA", B: "asiaEastJP" },
+    hasGroups: false,
+    defaultEnabled: false,
+  },
+  {
+    id: "ustest",
+    label: "naeuTest",
+    url: "http://h55na.update.easebar.com/server_list_ustest_game.txt",
+    port: 4000,
+    groupLabels: { A: "naeuNA", B: "naeuEU" },
+    hasGroups: false,
+    defaultEnabled: false,
+  },
+];
+
+const REGION_ID_PATTERN = /^[a-z0-9_-]+$/i;
+
+function normalizeRegion(raw, index) {
+  const where = `region #${index + 1}`;
+  if (!raw || typeof raw !== "object") {
+    throw new Error(`${where}: must be an object`);
+  }
+  if (typeof raw.id !== "string" || !REGION_ID_PATTERN.test(raw.id)) {
+    throw new Error(`${where}: invalid id`);
+  }
+  if (typeof raw.url !== "string" || !/^https?:\/\//.test(raw.url)) {
+    throw new Error(`${raw.id}: url must be http(s)`);
+  }
+  const port = Number(raw.port);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`${raw.id}: invalid port`);
+  }
+
+  const groupLabels =
+    raw.groupLabels && typeof raw.groupLabels === "object"
+      ? raw.groupLabels
+      : {};
+  return {
+    id: raw.id,
+    label: raw.label || raw.id,
+    url: raw.url,
+    port,
+    groupLabels,
+    hasGroups: raw.hasGroups ?? Object.keys(groupLabels).length > 0,
+    defaultEnabled: raw.defaultEnabled ?? true,
+  };
+}
+
+function readRegionConfig() {
+  const file = process.env.IDV_REGIONS_FILE;
+  if (file) {
+    return JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+  }
+  if (process.env.IDV_REGIONS) {
+    return JSON.parse(process.env.IDV_REGIONS);
+  }
+  return DEFAULT_REGIONS;
+}
+
+let cachedRegions = null;
+
+// Loaded once per process. A broken config fails loudly instead of
+// silently falling back, so a typo doesn't point the app at stale URLs.
+export function getRegions() {
+  if (!cachedRegions) {
+    const config = readRegionConfig();
+    if (!Array.isArray(config) || config.length === 0) {
+      throw new Error("region config must be a non-empty array");
+    }
+    const regions = config.map(normalizeRegion);
+    const ids = new Set();
+    for (const region of regions) {
+      if (ids.has(region.id)) {
+        throw new Error(`${region.id}: duplicate region id`);
+      }
+      ids.add(region.id);
+    }
+    cachedRegions = regions;
+  }
+  return cachedRegions;
+}
+
+export function getRegion(id) {
+  return getRegions().find((r) => r.id === id) || null;
+}
+
+export function getRegionIds() {
+  return getRegions().map((r) => r.id);
+}
+
+// What the browser needs; source URLs stay server-side.
+export function toPublicRegion({ url, ...region }) {
+  return region;
+}
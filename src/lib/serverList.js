@@ -0,0 +1,168 @@
+// Game server list fetching, parsing and diffing, shared by the API routes.
+// Sources and expected ports come from the region config (see regions.js).
+
+import { counter, histogram } from "./metrics.js";
+
+// One sample per upstream request; lists reused by serverListCache.js
+// aren't counted again.
+const fetchCount = counter(
+  "idv_server_list_fetches_total",
+  "Upstream server list fetches by region and result (ok, http_error, network_error, invalid)."
+);
+const fetchDuration = histogram(
+  "idv_server_list_fetch_duration_seconds",
+  "Upstream server list fetch latency by region."
+);
+const parsedCount = counter(
+  "idv_server_list_servers_parsed_total",
+  "Servers parsed from upstream lists by region."
+);
+const skippedCount = counter(
+  "idv_server_list_lines_skipped_total",
+  "Server list lines skipped by region and reason (short_line, invalid_ip, port_mismatch)."
+);
+
+// `region` is a definition from getRegions(). Throws on network errors and
+// on responses that aren't a usable list (HTTP error, HTML error page, no
+// servers), so callers never mistake a broken upstream for an empty list.
+export async function fetchServerList(region, options) {
+  const startedAt = performance.now();
+  const observe = (result) => {
+    fetchCount.inc({ region: region.id, result });
+    fetchDuration.observe(
+      { region: region.id },
+      (performance.now() - startedAt) / 1000
+    );
+  };
+
+  let res, text;
+  try {
+    // No fetch cache: it would hide upstream failures behind the last 200.
+    // Reuse is up to the caller (see serverListCache.js).
+    res = await fetch(region.url, { cache: "no-store" });
+    text = await res.text();
+  } catch (e) {
+    observe("network_error");
+    throw e;
+  }
+  if (!res.ok) {
+    observe("http_error");
+    throw new Error(`upstream returned HTTP ${res.status}`);
+  }
+  if (/^\s*</.test(text)) {
+    observe("invalid");
+    throw new Error("upstream returned HTML instead of a server list");
+  }
+
+  const servers = parseServerList(text, region, options);
+  if (!servers.some((s) => s.port === region.port)) {
+    observe("invalid");
+    throw new Error("upstream list contains no servers");
+  }
+  observe("ok");
+  return servers;
+}
+
+function toInt(value) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Column meanings beyond ID/IP/PORT/GROUP are not documented upstream, so
+// they are exposed under neutral names. With `raw`, each server also carries
+// its original `line` and 1-based `lineNumber` in the source file. With
+// `allPorts`, servers on a port other than the region's are kept too (for
+// change tracking); they still count as skipped in the metrics.
+export function parseServerList(
+  text,
+  region,
+  { raw = false, allPorts = false } = {}
+) {
+  const lines = text
+    .split("\n")
+    .map((l, i) => ({ line: l.trim(), lineNumber: i + 1 }))
+    .filter(({ line }) => line && !line.startsWith("#"));
+
+  const skip = (reason) => skippedCount.inc({ region: region.id, reason });
+
+  const servers = [];
+  for (const { line, lineNumber } of lines) {
+    // Format: ID TYPE IP PORT VAL1 VAL2 NUM1 NUM2 GROUP
+    // e.g. "10001 5 34.84.21.129 4000 12 10 2614959 2634973  A"
+    // Test servers may not have the group letter
+    const parts = line.split(/\s+/).filter(Boolean);
+    if (parts.length < 4) {
+      skip("short_line");
+      continue;
+    }
+
+    const ip = parts[2];
+    const port = parseInt(parts[3], 10);
+
+    // Validate IP
+    if (!/^\d{1,3}(\.\d{1,3}){3}$/.test(ip)) {
+      skip("invalid_ip");
+      continue;
+    }
+    // Port policy comes from the region config
+    // (defaults: cnnormal 10000, all global regions 4000)
+    if (port !== region.port) {
+      skip("port_mismatch");
+      if (!allPorts) continue;
+    }
+
+    const group = parts.length >= 9 ? parts[8] : null;
+    const serverId = parts[0];
+
+    const server = {
+      ip,
+      port,
+      group,
+      serverId,
+      type: toInt(parts[1]),
+      val1: toInt(parts[4]),
+      val2: toInt(parts[5]),
+      num1: toInt(parts[6]),
+      num2: toInt(parts[7]),
+    };
+    // Keep any columns past GROUP rather than silently dropping them
+    if (parts.length > 9) server.extra = parts.slice(9);
+    if (raw) {
+      server.line = line;
+      server.lineNumber = lineNumber;
+    }
+    servers.push(server);
+  }
+
+  parsedCount.inc(
+    { region: region.id },
+    servers.filter((s) => s.port === region.port).length
+  );
+  return servers;
+}
+
+// Compare two parsed lists by IP. A server whose IP stays but whose port or
+// group differs is reported as changed rather than removed + added.
+export function diffServerLists(previous, current) {
+  const prevByIp = new Map(previous.map((s) => [s.ip, s]));
+  const currByIp = new Map(current.map((s) => [s.ip, s]));
+
+  const added = current.filter((s) => !prevByIp.has(s.ip));
+  const removed = previous.filter((s) => !currByIp.has(s.ip));
+  const changed = [];
+  for (const [ip, after] of currByIp) {
+    const before = prevByIp.get(ip);
+    if (
+      before &&
+      (before.port !== after.port || before.group !== after.group)
+    ) {
+      changed.push({ ip, before, after });
+    }
+  }
+
+  return { added, removed, changed };
+}
+
+export function hasServerListChanges({ added, removed, changed }) {
+  return added.length > 0 || removed.length > 0 || changed.length > 0;
+}
@@ -0,0 +1,122 @@
+// Last good server list per region, shared by the API routes.
+//
+// A list younger than SERVER_LIST_MAX_AGE_MS is reused without asking
+// upstream. When a refresh fails (network, HTTP error, not a list) the last
+// good list is returned with `stale: true` and upstream is not asked again
+// for STALE_RETRY_MS, so a broken source isn't hit once per request.
+// Concurrent refreshes for a region share one upstream fetch.
+
+import { counter } from "./metrics.js";
+import {
+  diffServerLists,
+  fetchServerList,
+  hasServerListChanges,
+} from "./serverList.js";
+
+export const SERVER_LIST_MAX_AGE_MS = 5 * 60 * 1000;
+const STALE_RETRY_MS = 30 * 1000;
+// A change set is reported until a newer one replaces it or it ages out.
+const CHANGE_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const staleCount = counter(
+  "idv_server_list_stale_responses_total",
+  "Server list responses served from the last good list after an upstream failure."
+);
+
+// region id -> { entries, servers, changes, fetchedAt, retryAt, error }
+// `entries` includes servers on other ports so a port change is diffed as a
+// change; `servers` is what gets served.
+const lastKnownLists = new Map();
+// region id -> promise of the refresh in flight
+const refreshing = new Map();
+
+function isExpired(changes) {
+  return !!changes && Date.now() - changes.detectedAt > CHANGE_RETENTION_MS;
+}
+
+// Only changes that touch the region's port are reported: servers added or
+// removed on it, and servers moving onto or off it.
+function forPort({ added, removed, changed }, port) {
+  return {
+    added: added.filter((s) => s.port === port),
+    removed: removed.filter((s) => s.port === port),
+    changed: changed.filter(
+      (c) => c.before.port === port || c.after.port === port
+    ),
+  };
+}
+
+function trackChanges(region, entries) {
+  const previous = lastKnownLists.get(region.id);
+  let changes = previous?.changes || null;
+
+  if (previous) {
+    const diff = forPort(
+      diffServerLists(previous.entries, entries),
+      region.port
+    );
+    if (hasServerListChanges(diff)) {
+      changes = { detectedAt: Date.now(), ...diff };
+    }
+  }
+  return isExpired(changes) ? null : changes;
+}
+
+async function refresh(region) {
+  try {
+    // Parsed with raw fields so raw=1 callers can be served from the same
+    // list; other callers strip them.
+    const entries = await fetchServerList(region, {
+      raw: true,
+      allPorts: true,
+    });
+    const entry = {
+      entries,
+      servers: entries.filter((s) => s.port === region.port),
+      changes: trackChanges(region, entries),
+      fetchedAt: Date.now(),
+      retryAt: 0,
+      error: null,
+    };
+    lastKnownLists.set(region.id, entry);
+    return entry;
+  } catch (e) {
+    const last = lastKnownLists.get(region.id);
+    if (!last) throw e;
+    const entry = { ...last, retryAt: Date.now() + STALE_RETRY_MS, error: e };
+    lastKnownLists.set(region.id, entry);
+    return entry;
+  }
+}
+
+// Returns { servers, changes, fetchedAt, stale, error }; `error` is the
+// upstream failure message when stale. Throws when upstream fails and there
+// is no earlier list to fall back on.
+export async function getServerList(region) {
+  let entry = lastKnownLists.get(region.id);
+  const now = Date.now();
+  const usable =
+    entry &&
+    (entry.error
+      ? now < entry.retryAt
+      : now - entry.fetchedAt < SERVER_LIST_MAX_AGE_MS);
+
+  if (!usable) {
+    if (!refreshing.has(region.id)) {
+      refreshing.set(
+        region.id,
+        refresh(region).finally(() => refreshing.delete(region.id))
+      );
+    }
+    entry = await refreshing.get(region.id);
+  }
+
+  if (entry.error) staleCount.inc({ region: region.id });
+  return {
+    servers: entry.servers,
+    changes: isExpired(entry.changes) ? null : entry.changes,
+    fetchedAt: entry.fetchedAt,
+    stale: !!entry.error,
+    error: entry.error?.message || null,
+  };
+}
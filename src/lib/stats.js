@@ -0,0 +1,12 @@
+// Sample statistics shared by the page, the probe API and the CLI scanner,
+// so a "median" means the same thing everywhere.
+
+// Median of an ascending array: the middle value, or the mean of the two
+// middle values for an even count. null when empty.
+export function median(sorted) {
+  if (sorted.length === 0) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[mid - 1] + sorted[mid]) / 2
+    : sorted[mid];
+}
@@ -0,0 +1,91 @@
+// Server-side latency probe using real TCP connect timing (Node `net`).
+// Unlike the browser path, this measures the SYN → SYN/ACK handshake
+// directly, so no Resource Timing or fetch-error calibration is needed.
+
+import net from "node:net";
+import { median } from "./stats.js";
+
+export const DEFAULT_PROBE_ATTEMPTS = 3;
+export const DEFAULT_PROBE_TIMEOUT_MS = 2000;
+export const DEFAULT_PROBE_GAP_MS = 30;
+export const DEFAULT_PROBE_CONCURRENCY = 8;
+
+// Resolves with the handshake time in ms, or null on timeout/refusal/error.
+export function tcpConnectTime(
+  host,
+  port,
+  timeoutMs = DEFAULT_PROBE_TIMEOUT_MS
+) {
+  return new Promise((resolve) => {
+    const t0 = process.hrtime.bigint();
+    const socket = net.connect({ host, port });
+    let settled = false;
+
+    const finish = (ms) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      resolve(ms);
+    };
+
+    socket.setTimeout(timeoutMs, () => finish(null));
+    socket.once("connect", () =>
+      finish(Number(process.hrtime.bigint() - t0) / 1e6)
+    );
+    socket.once("error", () => finish(null));
+  });
+}
+
+// Probe one server `attempts` times.
+// Returns { ip, port, attempts, samples, median, loss } where loss is 0..1.
+export async function probeServer(
+  { ip, port },
+  {
+    attempts = DEFAULT_PROBE_ATTEMPTS,
+    timeoutMs = DEFAULT_PROBE_TIMEOUT_MS,
+    gapMs = DEFAULT_PROBE_GAP_MS,
+  } = {}
+) {
+  const samples = [];
+  let failures = 0;
+
+  for (let i = 0; i < attempts; i++) {
+    const ms = await tcpConnectTime(ip, port, timeoutMs);
+    if (ms === null) failures++;
+    else samples.push(Math.round(ms * 10) / 10);
+
+    if (i < attempts - 1 && gapMs > 0) {
+      await new Promise((r) => setTimeout(r, gapMs));
+    }
+  }
+
+  const sorted = [...samples].sort((a, b) => a - b);
+  return {
+    ip,
+    port,
+    attempts,
+    samples,
+    median: median(sorted),
+    loss: attempts > 0 ? failures / attempts : 0,
+  };
+}
+
+// Probe many servers with a bounded number of concurrent sockets.
+export async function probeServers(
+  servers,
+  { concurrency = DEFAULT_PROBE_CONCURRENCY, ...options } = {}
+) {
+  const results = new Array(servers.length);
+  let index = 0;
+  const workers = Array.from(
+    { length: Math.min(concurrency, servers.length) },
+    async () => {
+      while (index < servers.length) {
+        const i = index++;
+        results[i] = await probeServer(servers[i], options);
+      }
+    }
+  );
+  await Promise.all(workers);
+  return results;
+}